@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+// ─── delphi-beliefs CLI ───────────────────────────────────────────────────────
+//
+//  Terminal client for the same numbers the dashboard shows. Talks to Delphi
+//  directly through lib/delphi-client.js and computes beliefs with
+//  lib/prediction.js — no running server needed.
+//
+//    delphi-beliefs live               ranking + gap table for the live market
+//    delphi-beliefs market <id>        per-model eval history
+//    delphi-beliefs history            settled markets: prediction + backtest
+//    delphi-beliefs watch [id]         live view, refreshed in place
+//
+//  Exit codes (see EXIT): 0 ok · 1 upstream/runtime error · 2 usage error ·
+//  3 unknown market · 4 no market is live (live/watch show the latest settled)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const path = require("path");
+const { parseArgs } = require("util");
+const { createDelphiClient } = require("../lib/delphi-client");
+const { createMarketRegistry } = require("../lib/market-registry");
+const { MARKET_CONFIG, GHOST_MARKET_IDS } = require("../lib/market-config");
+const { createLiveMarketDetector } = require("../lib/live-market");
+const { createPredictor } = require("../lib/prediction");
+const { beliefOptionsFromQuery, BELIEF_MODELS } = require("../lib/belief-models");
+const { chartSeries, extractMarketChart, mergeDataPoints } = require("../lib/market-chart");
+const { computeSignals } = require("../lib/signals");
+const { normalizeName } = require("../lib/model-registry");
+const { createSnapshotStore } = require("../lib/snapshot-store");
+const { strategyFromQuery, replaySettledMarket, aggregateBacktests } = require("../lib/backtest");
+
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  UNKNOWN_MARKET: 3,
+  NOT_LIVE: 4,
+};
+
+const USAGE = `Usage: delphi-beliefs <command> [options]
+
+Commands:
+  live                 Ranking, prices and gap signals for the live market
+  market <id>          Per-model eval history for one market
+  history              Settled markets: predicted vs actual winner and a
+                       backtest of the gap signal (same as /api/backtest)
+  watch [id]           Live view (or market <id>), refreshed in place
+
+Options:
+  --json               Print JSON instead of a table (watch: one line per refresh)
+  --belief-model <m>   ${Object.keys(BELIEF_MODELS).join(" | ")}
+  --temperature <t>    Temperature for softmax-style belief models
+  --interval <s>       watch refresh interval in seconds (default 15)
+  --no-color           Plain output (also honours NO_COLOR)
+  --verbose            Show upstream/registry logs on stderr
+  -h, --help           Show this help
+
+Backtest options (history):
+  --threshold <pts>    Gap in points needed to enter (default 5)
+  --exit <mode>        settle | signal (default settle)
+  --exit-threshold <pts>
+                       With --exit signal: close once |gap| is at most this (default 0)
+  --stake <n>          Notional per trade (default 100)
+  --side <side>        long | both (default long)
+
+Environment:
+  DATA_DIR             Market registry location (default ./data, shared with the server)
+  DELPHI_BASE_URL      Upstream base URL (e.g. scripts/mock-delphi.js)
+
+Exit codes:
+  0 ok · 1 upstream or runtime error · 2 usage error · 3 unknown market
+  4 no market is live (live/watch print the latest settled market)
+`;
+
+class CliError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// ─── Options ──────────────────────────────────────────────────────────────────
+function parseCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        json: { type: "boolean", default: false },
+        "belief-model": { type: "string" },
+        temperature: { type: "string" },
+        interval: { type: "string", default: "15" },
+        threshold: { type: "string" },
+        exit: { type: "string" },
+        "exit-threshold": { type: "string" },
+        stake: { type: "string" },
+        side: { type: "string" },
+        "no-color": { type: "boolean", default: false },
+        verbose: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (e) {
+    throw new CliError(e.message, EXIT.USAGE);
+  }
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+
+  const beliefOpts = beliefOptionsFromQuery({ belief_model: values["belief-model"], temperature: values.temperature });
+  if (beliefOpts.error) {
+    const { field, allowed } = beliefOpts.error;
+    const detail = allowed ? ` (one of: ${allowed.join(", ")})` : field ? ` (${field})` : "";
+    throw new CliError(`Invalid belief options: ${beliefOpts.error.error}${detail}`, EXIT.USAGE);
+  }
+
+  const { strategy, error } = strategyFromQuery({
+    threshold: values.threshold,
+    exit: values.exit,
+    exit_threshold: values["exit-threshold"],
+    stake: values.stake,
+    side: values.side,
+  });
+  if (error) {
+    const detail = error.allowed ? ` (one of: ${error.allowed.join(", ")})` : "";
+    throw new CliError(`Invalid --${error.field.replace(/_/g, "-")}: ${error.value}${detail}`, EXIT.USAGE);
+  }
+
+  const interval = Number(values.interval);
+  if (!Number.isFinite(interval) || interval < 2) throw new CliError("--interval must be a number of seconds ≥ 2", EXIT.USAGE);
+
+  return {
+    command,
+    args: rest,
+    json: values.json,
+    beliefOpts,
+    strategy,
+    intervalMs: interval * 1000,
+    color: !values["no-color"] && !process.env.NO_COLOR && process.stdout.isTTY,
+    verbose: values.verbose,
+    help: values.help,
+  };
+}
+
+// ─── Data ─────────────────────────────────────────────────────────────────────
+function createContext() {
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+  const client = createDelphiClient({
+    baseUrl: process.env.DELPHI_BASE_URL || undefined,
+    timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS || 9000),
+    retries: Number(process.env.UPSTREAM_RETRIES ?? 2),
+  });
+  const registry = createMarketRegistry({
+    client,
+    file: path.join(dataDir, "market-registry.json"),
+    overrides: MARKET_CONFIG,
+  });
+  const { detect, detectAll } = createLiveMarketDetector({
+    client,
+    registry,
+    overrides: MARKET_CONFIG,
+    ghostIds: GHOST_MARKET_IDS,
+    cacheMs: 0,
+  });
+  const predictor = createPredictor({ client });
+  // Read-only here: the server's poller records the snapshots
+  const snapshotStore = createSnapshotStore({ dir: path.join(dataDir, "snapshots") });
+  return { client, registry, snapshotStore, detect, detectAll, ...predictor };
+}
+
+// Same lookup as the server's findMarket(): live markets first, then the registry
+async function findMarket(ctx, marketId) {
+  const id = String(marketId);
+  const pick = await ctx.detect();
+  const live = [...(await ctx.detectAll()), pick].find(m => String(m.market_id) === id);
+  if (live) {
+    return { marketId: id, name: live.market_name, status: live.status, entryMap: live.entryMap };
+  }
+  await ctx.registry.ensureFresh();
+  const record = ctx.registry.get(id);
+  if (!record) throw new CliError(`Unknown market: ${id}`, EXIT.UNKNOWN_MARKET);
+  return { marketId: id, name: record.name, status: "closed", entryMap: record.entryMap };
+}
+
+// Every eval request failed — an empty ranking would look like "no evals yet"
+function assertReachable(prediction) {
+  const models = Object.values(prediction.perModel);
+  if (models.length && models.every(m => !m.upstream_ok)) {
+    throw new CliError("Delphi upstream unreachable (every eval request failed)", EXIT.ERROR);
+  }
+}
+
+async function latestPrices(ctx, market) {
+  const r = await ctx.client.chart(market.marketId);
+  const series = chartSeries(extractMarketChart(r.json)?.data_points || [], market.entryMap);
+  return { prices: series.length ? series[series.length - 1].prices : {}, stale: !!r.stale };
+}
+
+// Ranking + gap signals for one market (what `live` and `watch` print)
+async function marketSummary(ctx, market, beliefOpts) {
+  const [prediction, { prices, stale: chartStale }] = await Promise.all([
+    ctx.computeMarketPrediction(market.marketId, market.entryMap, beliefOpts),
+    latestPrices(ctx, market),
+  ]);
+  assertReachable(prediction);
+  const signals = computeSignals(prediction.beliefs, prices);
+  return {
+    market_id: market.marketId,
+    market_name: market.name,
+    status: market.status,
+    is_live: market.status === "ongoing",
+    belief_model: beliefOpts.model,
+    temperature: beliefOpts.temperature,
+    eval_count: prediction.evalCount,
+    predicted_winner: prediction.predictedWinner,
+    top_belief: prediction.topBelief,
+    stale: prediction.stale || chartStale,
+    fetched_at: new Date().toISOString(),
+    models: prediction.rankings.map((r, i) => ({
+      rank: i + 1,
+      model: r.model,
+      entry_idx: r.modelIdx,
+      avg_score: r.perEvalAggregates.length ? r.avgScore : null,
+      belief: r.belief,
+      price: signals[r.model]?.price ?? null,
+      gap: signals[r.model]?.gap ?? null,
+      signal: signals[r.model]?.signal ?? null,
+    })),
+  };
+}
+
+async function liveSummary(ctx, beliefOpts, marketId) {
+  const market = marketId !== undefined
+    ? await findMarket(ctx, marketId)
+    : await ctx.detect().then(l => ({ marketId: String(l.market_id), name: l.market_name, status: l.status, entryMap: l.entryMap }));
+  return marketSummary(ctx, market, beliefOpts);
+}
+
+async function marketHistory(ctx, marketId, beliefOpts) {
+  const market = await findMarket(ctx, marketId);
+  const prediction = await ctx.computeMarketPrediction(market.marketId, market.entryMap, beliefOpts);
+  assertReachable(prediction);
+  const { rankings, evalCount, predictedWinner, perModel, stale } = prediction;
+  const benchmarks = Array.from({ length: evalCount }, (_, k) => {
+    for (const obj of Object.values(perModel)) if (obj.evalsRaw[k]?.benchmark) return String(obj.evalsRaw[k].benchmark);
+    return null;
+  });
+  return {
+    market_id: market.marketId,
+    market_name: market.name,
+    status: market.status,
+    belief_model: beliefOpts.model,
+    temperature: beliefOpts.temperature,
+    eval_count: evalCount,
+    benchmarks,
+    predicted_winner: predictedWinner,
+    stale,
+    models: rankings.map((r, i) => ({
+      rank: i + 1,
+      model: r.model,
+      entry_idx: r.modelIdx,
+      scores: r.perEvalAggregates,
+      avg_score: r.perEvalAggregates.length ? r.avgScore : null,
+      belief: r.belief,
+    })),
+  };
+}
+
+// Stored snapshot points plus the upstream chart, as the server's backtest uses
+async function marketDataPoints(ctx, marketId) {
+  const [chartRes, stored] = await Promise.all([ctx.client.chart(marketId), ctx.snapshotStore.query(marketId)]);
+  const dataPoints = mergeDataPoints(stored.data_points, extractMarketChart(chartRes.json)?.data_points);
+  return { dataPoints, stale: !!chartRes.stale, storedEvals: stored.evals };
+}
+
+async function settledHistory(ctx, beliefOpts, strategy) {
+  await ctx.registry.ensureFresh();
+  const markets = [];
+  for (const m of ctx.registry.list()) {
+    const [{ perModel, predictedWinner, topBelief, evalCount, stale }, { dataPoints, stale: chartStale, storedEvals }] =
+      await Promise.all([ctx.computeMarketPrediction(m.marketId, m.entryMap, beliefOpts), marketDataPoints(ctx, m.marketId)]);
+    const { actualWinner, source } = await ctx.resolveWinnerFromChart(m.marketId, m.entryMap, m.confirmedWinner, m.winnerSource);
+    const winner = actualWinner === "TBD" ? null : actualWinner;
+    const backtest = replaySettledMarket({
+      perModel, evalCount, entryMap: m.entryMap, actualWinner, dataPoints, storedEvals, beliefOpts, strategy,
+    });
+    markets.push({
+      market_id: m.marketId,
+      display_num: m.displayNum ?? null,
+      market_name: m.name,
+      closed_date: m.closedDate ?? null,
+      eval_count: evalCount,
+      predicted_winner: predictedWinner,
+      top_belief: topBelief,
+      actual_winner: winner,
+      actual_winner_source: source,
+      correct: !!predictedWinner && !!winner ? normalizeName(predictedWinner) === normalizeName(winner) : null,
+      stale: stale || chartStale,
+      backtest,
+    });
+  }
+  const scored = markets.filter(m => m.correct !== null);
+  const correct = scored.filter(m => m.correct).length;
+  const backtests = markets.map(m => m.backtest).filter(b => !b.error);
+  return {
+    belief_model: beliefOpts.model,
+    temperature: beliefOpts.temperature,
+    strategy: {
+      threshold: strategy.threshold,
+      exit: strategy.exit,
+      exit_threshold: strategy.exitThreshold,
+      stake: strategy.stake,
+      side: strategy.side,
+    },
+    markets,
+    settled_markets: scored.length,
+    correct_predictions: correct,
+    win_rate: scored.length ? (correct / scored.length) * 100 : null,
+    backtest: { markets: backtests.length, ...aggregateBacktests(backtests) },
+  };
+}
+
+// ─── Output ───────────────────────────────────────────────────────────────────
+function paint(enabled) {
+  const wrap = code => s => (enabled ? `\x1b[${code}m${s}\x1b[0m` : String(s));
+  return { bold: wrap(1), dim: wrap(2), green: wrap(32), red: wrap(31), yellow: wrap(33) };
+}
+
+const visibleLength = s => String(s).replace(/\x1b\[[0-9;]*m/g, "").length;
+
+// columns: [{ title, align: "left"|"right" }]; rows: arrays of strings
+function table(columns, rows) {
+  const widths = columns.map((c, i) => Math.max(visibleLength(c.title), ...rows.map(r => visibleLength(r[i]))));
+  const pad = (s, i) => {
+    const gap = " ".repeat(widths[i] - visibleLength(s));
+    return columns[i].align === "right" ? gap + s : s + gap;
+  };
+  const line = cells => cells.map(pad).join("  ").trimEnd();
+  return [line(columns.map(c => c.title)), line(widths.map(w => "─".repeat(w))), ...rows.map(line)].join("\n");
+}
+
+const fmtPct = v => (v === null || v === undefined ? "—" : `${Number(v).toFixed(1)}%`);
+const fmtNum = v => (v === null || v === undefined ? "—" : Number(v).toFixed(2));
+const fmtPnl = v => (v === null || v === undefined ? "—" : `${v > 0 ? "+" : ""}${v.toFixed(2)}`);
+const fmtGap = v => (v === null || v === undefined ? "—" : `${v > 0 ? "+" : ""}${v.toFixed(1)}`);
+
+function renderSummary(s, c) {
+  const signalColor = { UNDERPRICED: c.green, OVERPRICED: c.red, ALIGNED: c.dim };
+  const head = `${c.bold(s.market_name)} ${c.dim(`(market ${s.market_id})`)} — ${s.is_live ? c.green("LIVE") : c.yellow(s.status.toUpperCase())}` +
+    ` · ${s.eval_count} evals · belief model ${s.belief_model}${s.stale ? c.yellow(" · stale") : ""}`;
+  const rows = s.models.map(m => [
+    String(m.rank), m.model, fmtNum(m.avg_score), fmtPct(m.belief),
+    m.price === null ? "—" : fmtPct(m.price * 100), fmtGap(m.gap),
+    m.signal ? (signalColor[m.signal] || String)(m.signal) : "—",
+  ]);
+  const body = table([
+    { title: "#", align: "right" }, { title: "Model" }, { title: "Avg score", align: "right" },
+    { title: "Belief", align: "right" }, { title: "Price", align: "right" }, { title: "Gap", align: "right" }, { title: "Signal" },
+  ], rows);
+  const foot = s.predicted_winner
+    ? `Predicted winner: ${c.bold(s.predicted_winner)} (${fmtPct(s.top_belief)})`
+    : "No evals yet — nothing to predict";
+  return [head, "", body, "", foot].join("\n");
+}
+
+function renderMarket(h, c) {
+  const head = `${c.bold(h.market_name)} ${c.dim(`(market ${h.market_id})`)} — ${h.status} · ${h.eval_count} evals${h.stale ? c.yellow(" · stale") : ""}`;
+  const evalCols = h.benchmarks.map((b, k) => ({ title: `E${k + 1}${b ? ` ${b}` : ""}`, align: "right" }));
+  const rows = h.models.map(m => [
+    String(m.rank), m.model, ...h.benchmarks.map((_, k) => fmtNum(m.scores[k])), fmtNum(m.avg_score), fmtPct(m.belief),
+  ]);
+  const body = table([
+    { title: "#", align: "right" }, { title: "Model" }, ...evalCols,
+    { title: "Avg", align: "right" }, { title: "Belief", align: "right" },
+  ], rows);
+  return [head, "", body].join("\n");
+}
+
+function renderHistory(h, c) {
+  const rows = h.markets.map(m => [
+    m.display_num ? `#${m.display_num}` : m.market_id,
+    m.market_name,
+    m.closed_date || "—",
+    String(m.eval_count),
+    m.predicted_winner ? `${m.predicted_winner} (${fmtPct(m.top_belief)})` : "—",
+    m.actual_winner || "—",
+    m.correct === null ? c.dim("n/a") : m.correct ? c.green("✓") : c.red("✗"),
+    m.backtest.error ? c.dim(m.backtest.error) : String(m.backtest.trade_count),
+    m.backtest.error ? "—" : fmtPnl(m.backtest.pnl),
+    m.backtest.error ? "—" : fmtPct(m.backtest.roi),
+  ]);
+  const body = table([
+    { title: "Market" }, { title: "Name" }, { title: "Closed" }, { title: "Evals", align: "right" },
+    { title: "Predicted" }, { title: "Winner" }, { title: "Correct" },
+    { title: "Trades", align: "right" }, { title: "P&L", align: "right" }, { title: "ROI", align: "right" },
+  ], rows);
+  const foot = h.win_rate === null
+    ? "No settled markets with a known winner"
+    : `Win rate: ${c.bold(fmtPct(h.win_rate))} (${h.correct_predictions}/${h.settled_markets}) · belief model ${h.belief_model}`;
+  const s = h.strategy;
+  const bt = h.backtest;
+  const backtestFoot = bt.markets === 0
+    ? "Backtest: no settled market had a winner, chart data and evals"
+    : `Backtest: ${c.bold(fmtPnl(bt.pnl))} on ${bt.trade_count} trades (ROI ${fmtPct(bt.roi)}, hit rate ${fmtPct(bt.hit_rate)},` +
+      ` max drawdown ${fmtNum(bt.max_drawdown)}) · ${bt.markets} market${bt.markets === 1 ? "" : "s"} · threshold ${s.threshold}, exit ${s.exit}, side ${s.side}, stake ${s.stake}`;
+  return [body, "", foot, backtestFoot].join("\n");
+}
+
+function print(opts, data, render) {
+  process.stdout.write((opts.json ? JSON.stringify(data, null, 2) : render(data, paint(opts.color))) + "\n");
+}
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+const COMMANDS = {
+  async live(ctx, opts) {
+    if (opts.args.length) throw new CliError("live takes no arguments (use `market <id>` or `watch <id>`)", EXIT.USAGE);
+    const summary = await liveSummary(ctx, opts.beliefOpts);
+    print(opts, summary, renderSummary);
+    return summary.is_live ? EXIT.OK : EXIT.NOT_LIVE;
+  },
+
+  async market(ctx, opts) {
+    const [id] = opts.args;
+    if (id === undefined || opts.args.length > 1) throw new CliError("usage: delphi-beliefs market <id>", EXIT.USAGE);
+    print(opts, await marketHistory(ctx, id, opts.beliefOpts), renderMarket);
+    return EXIT.OK;
+  },
+
+  async history(ctx, opts) {
+    if (opts.args.length) throw new CliError("history takes no arguments", EXIT.USAGE);
+    print(opts, await settledHistory(ctx, opts.beliefOpts, opts.strategy), renderHistory);
+    return EXIT.OK;
+  },
+
+  // Never resolves on its own — Ctrl+C exits 0. Fails fast on the first
+  // refresh (unknown market, upstream down); later errors are shown and retried.
+  async watch(ctx, opts) {
+    const [id] = opts.args;
+    if (opts.args.length > 1) throw new CliError("usage: delphi-beliefs watch [id]", EXIT.USAGE);
+    const c = paint(opts.color);
+    let first = true;
+    process.on("SIGINT", () => {
+      if (!opts.json) process.stdout.write("\n");
+      process.exit(EXIT.OK);
+    });
+
+    for (;;) {
+      try {
+        const summary = await liveSummary(ctx, opts.beliefOpts, id);
+        if (opts.json) {
+          process.stdout.write(JSON.stringify(summary) + "\n");
+        } else {
+          const stamp = new Date().toLocaleTimeString();
+          const status = c.dim(`Updated ${stamp} · every ${opts.intervalMs / 1000}s · Ctrl+C to quit`);
+          // Clear screen + home so the table refreshes in place
+          process.stdout.write(`\x1b[2J\x1b[H${renderSummary(summary, c)}\n\n${status}\n`);
+        }
+      } catch (e) {
+        if (first) throw e;
+        process.stderr.write(`[watch] refresh failed: ${e.message}\n`);
+      }
+      first = false;
+      await new Promise(resolve => setTimeout(resolve, opts.intervalMs));
+    }
+  },
+};
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (e) {
+    process.stderr.write(`${e.message}\n\n${USAGE}`);
+    return e.code ?? EXIT.USAGE;
+  }
+  if (opts.help || !opts.command) {
+    (opts.help ? process.stdout : process.stderr).write(USAGE);
+    return opts.help ? EXIT.OK : EXIT.USAGE;
+  }
+  const command = COMMANDS[opts.command];
+  if (!command) {
+    process.stderr.write(`Unknown command: ${opts.command}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  // Library progress logs would mix into table/JSON output on stdout
+  if (opts.verbose) {
+    console.log = console.warn = (...a) => process.stderr.write(a.join(" ") + "\n");
+  } else {
+    console.log = console.warn = () => {};
+  }
+
+  try {
+    return await command(createContext(), opts);
+  } catch (e) {
+    process.stderr.write(`delphi-beliefs: ${e.message}\n`);
+    return e instanceof CliError ? e.code : EXIT.ERROR;
+  }
+}
+
+main(process.argv.slice(2)).then(code => process.exit(code));
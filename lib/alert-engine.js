@@ -0,0 +1,390 @@
+// ─── Alert engine ─────────────────────────────────────────────────────────────
+//
+//  Watches market state between polls and turns changes into events:
+//    new_eval        eval count went up
+//    leader_change   top-belief model changed
+//    signal_change   a model's gap signal changed (e.g. ALIGNED → UNDERPRICED)
+//    gap_threshold   a model's |gap| crossed a rule's threshold
+//    market_settled  a market we saw ongoing is now closed
+//
+//  Events are matched against user rules and POSTed to each rule's webhook
+//  with retries. Rules and the alert history persist to one JSON file.
+//
+//  The first observation of a market only seeds state — a restart does not
+//  replay every signal as a change.
+//
+//  Webhooks may not point into the server's own network: a host that resolves
+//  to a loopback, private, link-local (cloud metadata), CGNAT, multicast or
+//  reserved address is refused when a rule is saved and again before every
+//  delivery, and redirects are not followed. allowPrivateWebhooks lifts this
+//  for local testing.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { SIGNALS, GAP_THRESHOLD, classifyGap } = require("./signals");
+const { checkMarketId } = require("./validation");
+const { createLogger } = require("./logger");
+
+const RULE_TYPES = ["new_eval", "leader_change", "signal_change", "gap_threshold", "market_settled"];
+const HISTORY_LIMIT = 1000;
+
+const log = createLogger("alerts");
+
+async function defaultFetch(url, opts) {
+  if (global.fetch) return global.fetch(url, opts);
+  const { default: nodeFetch } = await import("node-fetch");
+  return nodeFetch(url, opts);
+}
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) BLOCKED_ADDRESSES.addSubnet(addr, prefix, "ipv4");
+for (const [addr, prefix] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) BLOCKED_ADDRESSES.addSubnet(addr, prefix, "ipv6");
+
+function isPrivateAddress(ip) {
+  const family = net.isIPv4(ip) ? "ipv4" : net.isIPv6(ip) ? "ipv6" : null;
+  return !family || BLOCKED_ADDRESSES.check(ip, family);
+}
+
+// null when the webhook's host may be called, else the reason it may not
+async function checkWebhookHost(webhookUrl, lookup = dns.promises.lookup) {
+  let host;
+  try { host = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, ""); } catch { return "invalid_url"; }
+  if (net.isIP(host)) return isPrivateAddress(host) ? "private_address" : null;
+  let addresses;
+  try { addresses = await lookup(host, { all: true }); } catch { return "unresolvable_host"; }
+  if (!addresses.length) return "unresolvable_host";
+  return addresses.some(a => isPrivateAddress(a.address)) ? "private_address" : null;
+}
+
+// Origin only — paths and queries often carry webhook secrets
+function redactWebhookUrl(webhookUrl) {
+  try {
+    const url = new URL(webhookUrl);
+    return url.pathname === "/" && !url.search ? url.origin : `${url.origin}/…`;
+  } catch {
+    return null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+}
+
+// Validates a rule body (full for create, partial for update).
+// Returns { rule } with normalized fields or { error } for a 400 response.
+function validateRule(body, { partial = false } = {}) {
+  const rule = {};
+  const fail = (field, extra = {}) => ({ error: { error: "invalid_rule", field, ...extra } });
+  if (!body || typeof body !== "object") return fail("body");
+
+  if (body.type !== undefined || !partial) {
+    if (!RULE_TYPES.includes(body.type)) return fail("type", { allowed: RULE_TYPES });
+    rule.type = body.type;
+  }
+  if (body.webhook_url !== undefined || !partial) {
+    let url;
+    try { url = new URL(String(body.webhook_url)); } catch { return fail("webhook_url"); }
+    if (!["http:", "https:"].includes(url.protocol)) return fail("webhook_url");
+    rule.webhook_url = url.toString();
+  }
+  if (body.market_id !== undefined) {
+    rule.market_id = body.market_id === null || body.market_id === "" ? null : String(body.market_id);
+    if (rule.market_id !== null && checkMarketId(rule.market_id)) return fail("market_id", { expected: "digits" });
+  }
+  if (body.model !== undefined) {
+    rule.model = body.model === null || body.model === "" ? null : String(body.model);
+  }
+  if (body.threshold !== undefined) {
+    const t = Number(body.threshold);
+    if (!Number.isFinite(t) || t <= 0 || t > 100) return fail("threshold");
+    rule.threshold = t;
+  }
+  if (body.signals !== undefined) {
+    const list = Array.isArray(body.signals) ? body.signals.map(s => String(s).toUpperCase()) : null;
+    if (!list || list.length === 0 || list.some(s => !SIGNALS.includes(s))) return fail("signals", { allowed: SIGNALS });
+    rule.signals = list;
+  }
+  if (body.enabled !== undefined) rule.enabled = !!body.enabled;
+  if (body.name !== undefined) rule.name = String(body.name).slice(0, 200);
+  return { rule };
+}
+
+function createAlertEngine({
+  file,
+  fetchImpl = defaultFetch,
+  retries = 3,
+  backoffMs = 1000,
+  timeoutMs = 5000,
+  historyLimit = HISTORY_LIMIT,
+  allowPrivateWebhooks = false,
+  lookup = dns.promises.lookup,
+}) {
+  let rules = [];
+  let alerts = [];
+  let loaded = false;
+  let saving = Promise.resolve();
+  const markets = {};   // marketId → last observed state (in memory only)
+
+  function load() {
+    if (loaded) return;
+    loaded = true;
+    try {
+      const json = JSON.parse(fs.readFileSync(file, "utf8"));
+      rules = Array.isArray(json.rules) ? json.rules : [];
+      alerts = Array.isArray(json.alerts) ? json.alerts : [];
+    } catch (e) {
+      if (e.code !== "ENOENT") log.warn("Could not read alerts file", { file, error: e });
+    }
+  }
+
+  // Writes are chained so two saves never interleave
+  function save() {
+    saving = saving.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, JSON.stringify({ rules, alerts }, null, 2), "utf8");
+      } catch (e) {
+        log.warn("Could not write alerts file", { file, error: e });
+      }
+    });
+    return saving;
+  }
+
+  // null when rule webhooks may go to this URL, else the reason they may not
+  async function checkWebhook(webhookUrl) {
+    return allowPrivateWebhooks ? null : checkWebhookHost(webhookUrl, lookup);
+  }
+
+  // ── Rules CRUD ──
+  function listRules() {
+    load();
+    return rules;
+  }
+
+  function getRule(id) {
+    load();
+    return rules.find(r => r.id === id) || null;
+  }
+
+  async function createRule(fields) {
+    load();
+    const rule = {
+      id: newId("rule"),
+      name: null,
+      market_id: null,
+      model: null,
+      threshold: fields.type === "gap_threshold" || fields.type === "signal_change" ? GAP_THRESHOLD : null,
+      signals: null,
+      enabled: true,
+      ...fields,
+      created_at: new Date().toISOString(),
+    };
+    rules.push(rule);
+    await save();
+    return rule;
+  }
+
+  async function updateRule(id, fields) {
+    const rule = getRule(id);
+    if (!rule) return null;
+    Object.assign(rule, fields, { updated_at: new Date().toISOString() });
+    await save();
+    return rule;
+  }
+
+  async function deleteRule(id) {
+    load();
+    const before = rules.length;
+    rules = rules.filter(r => r.id !== id);
+    if (rules.length === before) return false;
+    await save();
+    return true;
+  }
+
+  // ── Change detection ──
+  // state: { marketId, marketName, status, evalCount, leader, signals: { model: { gap, signal, … } } }
+  function diff(prev, state) {
+    const events = [];
+    const base = { market_id: state.marketId, market_name: state.marketName };
+
+    if (state.evalCount > prev.evalCount) {
+      events.push({ ...base, type: "new_eval", from: prev.evalCount, to: state.evalCount });
+    }
+    if (state.leader && prev.leader && state.leader !== prev.leader) {
+      events.push({ ...base, type: "leader_change", from: prev.leader, to: state.leader });
+    }
+    for (const [model, now] of Object.entries(state.signals || {})) {
+      const was = prev.signals?.[model];
+      if (!was) continue;
+      // Both carry the raw gaps so rules can apply their own thresholds
+      events.push({ ...base, type: "gap_update", model, from_gap: was.gap, to_gap: now.gap, belief: now.belief, price: now.price });
+    }
+    if (prev.status === "ongoing" && state.status !== "ongoing") {
+      events.push({ ...base, type: "market_settled", from: prev.status, to: state.status, winner: state.winner || null });
+    }
+    return events;
+  }
+
+  // Turns one detected change into the event a rule should fire on, or null
+  function matchRule(rule, ev) {
+    if (!rule.enabled) return null;
+    if (rule.market_id && rule.market_id !== String(ev.market_id)) return null;
+    if (rule.model && ev.model && rule.model !== ev.model) return null;
+
+    if (ev.type === "gap_update") {
+      const threshold = rule.threshold ?? GAP_THRESHOLD;
+      if (rule.type === "signal_change") {
+        const from = classifyGap(ev.from_gap, threshold);
+        const to = classifyGap(ev.to_gap, threshold);
+        if (from === to || (rule.signals && !rule.signals.includes(to))) return null;
+        return { ...strip(ev), type: "signal_change", from, to, gap: ev.to_gap, threshold };
+      }
+      if (rule.type === "gap_threshold") {
+        const was = Math.abs(ev.from_gap) >= threshold;
+        const now = Math.abs(ev.to_gap) >= threshold;
+        if (was || !now) return null;
+        return { ...strip(ev), type: "gap_threshold", gap: ev.to_gap, threshold, direction: ev.to_gap > 0 ? "over" : "under" };
+      }
+      return null;
+    }
+    return rule.type === ev.type ? ev : null;
+  }
+
+  function strip(ev) {
+    const { from_gap, to_gap, ...rest } = ev;
+    return rest;
+  }
+
+  async function deliver(alert) {
+    const body = JSON.stringify({ alert_id: alert.id, rule_id: alert.rule_id, fired_at: alert.created_at, event: alert.event });
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      if (attempt > 1) await sleep(backoffMs * 2 ** (attempt - 2));
+      alert.attempts = attempt;
+      // Re-checked per attempt: the host's DNS may have changed since the rule was saved
+      const blocked = await checkWebhook(alert.webhook_url);
+      if (blocked) {
+        alert.last_error = blocked;
+        break;
+      }
+      const ctrl = new AbortController();
+      const t = setTimeout(() => ctrl.abort(), timeoutMs);
+      try {
+        const res = await fetchImpl(alert.webhook_url, {
+          method: "POST",
+          redirect: "manual",
+          signal: ctrl.signal,
+          headers: { "content-type": "application/json", "user-agent": "delphi-beliefs-alerts" },
+          body,
+        });
+        if (res.ok) {
+          alert.status = "delivered";
+          alert.delivered_at = new Date().toISOString();
+          alert.last_error = null;
+          break;
+        }
+        alert.last_error = `http_${res.status}`;
+        // 4xx (other than 408/429) won't get better on retry
+        if (res.status < 500 && res.status !== 408 && res.status !== 429) break;
+      } catch (e) {
+        alert.last_error = e?.name === "AbortError" ? "timeout" : String(e?.message || e);
+      } finally {
+        clearTimeout(t);
+      }
+    }
+    if (alert.status !== "delivered") {
+      alert.status = "failed";
+      log.warn("Webhook delivery failed", { alert_id: alert.id, webhook_url: redactWebhookUrl(alert.webhook_url), attempts: alert.attempts, error: alert.last_error });
+    }
+    await save();
+    return alert;
+  }
+
+  async function fire(rule, event) {
+    const alert = {
+      id: newId("alert"),
+      rule_id: rule.id,
+      type: event.type,
+      market_id: event.market_id != null ? String(event.market_id) : null,
+      webhook_url: rule.webhook_url,
+      event,
+      status: "pending",
+      attempts: 0,
+      last_error: null,
+      created_at: new Date().toISOString(),
+      delivered_at: null,
+    };
+    alerts.push(alert);
+    if (alerts.length > historyLimit) alerts = alerts.slice(-historyLimit);
+    await save();
+    return deliver(alert);
+  }
+
+  // Compares a market's state with the previous observation and fires alerts.
+  // Resolves once every webhook delivery has finished (or given up).
+  async function observe(state) {
+    load();
+    const id = String(state.marketId);
+    const prev = markets[id];
+    markets[id] = state;
+    if (!prev) return [];
+
+    const fired = [];
+    for (const ev of diff(prev, state)) {
+      for (const rule of rules) {
+        const event = matchRule(rule, ev);
+        if (event) fired.push(fire(rule, event));
+      }
+    }
+    return Promise.all(fired);
+  }
+
+  // Markets last seen ongoing — the poller keeps watching them so it can see them close
+  function watchedMarkets() {
+    return Object.values(markets).filter(s => s.status === "ongoing").map(s => String(s.marketId));
+  }
+
+  async function sendTest(rule) {
+    load();
+    return fire(rule, { type: "test", market_id: rule.market_id, message: "Test alert from Delphi Beliefs" });
+  }
+
+  function history({ marketId, ruleId, type, status, since, limit = 100 } = {}) {
+    load();
+    return alerts
+      .filter(a => (marketId === undefined || a.market_id === String(marketId))
+        && (ruleId === undefined || a.rule_id === ruleId)
+        && (type === undefined || a.type === type)
+        && (status === undefined || a.status === status)
+        && (since === undefined || Date.parse(a.created_at) >= since))
+      .slice(-limit)
+      .reverse();
+  }
+
+  return {
+    checkWebhook,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    observe,
+    watchedMarkets,
+    sendTest,
+    history,
+  };
+}
+
+module.exports = { createAlertEngine, validateRule, redactWebhookUrl, isPrivateAddress, RULE_TYPES };
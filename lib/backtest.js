@@ -0,0 +1,273 @@
+// ─── Backtest engine ──────────────────────────────────────────────────────────
+//
+//  Replays a settled market's chart data_points together with eval arrival and
+//  trades on the same gap signal the dashboard shows:
+//
+//      gap = market price − belief        (percentage points)
+//      gap ≤ −threshold  → UNDERPRICED → buy
+//      gap ≥ +threshold  → OVERPRICED  → sell (only with side = "both")
+//
+//  Before the first eval there is no belief, so nothing trades. Open positions
+//  settle at 1 (winner) or 0 at the end; if the winner is unknown they are
+//  marked to the last price instead.
+//
+//  Prices are fractions (0–1), beliefs are percentages as computeBeliefs()
+//  returns them, timestamps are ms epochs.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { chartSeries } = require("./market-chart");
+const { computeBeliefHistory } = require("./belief-models");
+const { normalizeName } = require("./model-registry");
+const { parseTimeParam } = require("./snapshot-store");
+
+const DEFAULT_STRATEGY = {
+  threshold: 5,        // gap (pct points) needed to enter
+  exit: "settle",      // "settle" = hold to settlement, "signal" = exit when the gap closes
+  exitThreshold: 0,    // with exit = "signal": close once |gap| ≤ this
+  stake: 100,          // notional per trade
+  side: "long",        // "long" = buy underpriced only, "both" = also sell overpriced
+};
+
+const EXIT_MODES = ["settle", "signal"];
+const SIDES = ["long", "both"];
+
+// Reads strategy params from an Express query object.
+// Returns { strategy } or { error } for a 400 response.
+function strategyFromQuery(query = {}) {
+  const strategy = { ...DEFAULT_STRATEGY };
+  const numbers = [
+    ["threshold", "threshold", v => v >= 0 && v <= 100],
+    ["exit_threshold", "exitThreshold", v => v >= 0 && v <= 100],
+    ["stake", "stake", v => v > 0],
+  ];
+  for (const [param, key, valid] of numbers) {
+    if (query[param] === undefined || query[param] === "") continue;
+    const v = Number(query[param]);
+    if (!Number.isFinite(v) || !valid(v)) {
+      return { error: { error: "invalid_strategy", field: param, value: String(query[param]) } };
+    }
+    strategy[key] = v;
+  }
+  for (const [param, allowed] of [["exit", EXIT_MODES], ["side", SIDES]]) {
+    if (query[param] === undefined || query[param] === "") continue;
+    const v = String(query[param]).toLowerCase();
+    if (!allowed.includes(v)) {
+      return { error: { error: "invalid_strategy", field: param, value: String(query[param]), allowed } };
+    }
+    strategy[param] = v;
+  }
+  return { strategy };
+}
+
+function positionValue(pos, price) {
+  return pos.side === "long"
+    ? pos.shares * (price - pos.entryPrice)
+    : pos.shares * (pos.entryPrice - price);
+}
+
+// Peak-to-trough drop of an equity series (same units as equity)
+function maxDrawdown(equity) {
+  let peak = 0;
+  let worst = 0;
+  for (const { equity: v } of equity) {
+    peak = Math.max(peak, v);
+    worst = Math.max(worst, peak - v);
+  }
+  return worst;
+}
+
+function summarize(trades, equity) {
+  const pnl = trades.reduce((s, t) => s + t.pnl, 0);
+  const staked = trades.reduce((s, t) => s + t.stake, 0);
+  const wins = trades.filter(t => t.pnl > 0).length;
+  return {
+    pnl,
+    trade_count: trades.length,
+    wins,
+    losses: trades.filter(t => t.pnl < 0).length,
+    hit_rate: trades.length ? (wins / trades.length) * 100 : null,
+    total_staked: staked,
+    roi: staked > 0 ? (pnl / staked) * 100 : null,
+    max_drawdown: maxDrawdown(equity),
+  };
+}
+
+/**
+ * Runs one market.
+ *   dataPoints   upstream chart data_points (any order)
+ *   entryMap     entry idx → model name
+ *   beliefSteps  [{ ts, eval, beliefs }] — belief after each eval arrived
+ *   winner       settled winner as named in entryMap, or null to mark to
+ *                market at the end
+ */
+function backtestMarket({ dataPoints, entryMap, beliefSteps, winner = null, strategy = DEFAULT_STRATEGY }) {
+  const points = chartSeries(dataPoints || [], entryMap);
+  const steps = (beliefSteps || []).slice().sort((a, b) => a.ts - b.ts);
+
+  const open = {};     // model → position
+  const trades = [];
+  const equity = [];
+  let realized = 0;
+  let stepIdx = -1;
+
+  function close(model, price, ts, reason) {
+    const pos = open[model];
+    const pnl = positionValue(pos, price);
+    realized += pnl;
+    trades.push({
+      model,
+      side: pos.side,
+      entry_ts: pos.entryTs,
+      entry_price: pos.entryPrice,
+      entry_belief: pos.entryBelief,
+      entry_gap: pos.entryGap,
+      entry_eval: pos.entryEval,
+      exit_ts: ts,
+      exit_price: price,
+      exit_reason: reason,
+      shares: pos.shares,
+      stake: pos.stake,
+      pnl,
+    });
+    delete open[model];
+  }
+
+  for (const point of points) {
+    while (stepIdx + 1 < steps.length && steps[stepIdx + 1].ts <= point.ts) stepIdx++;
+    const step = steps[stepIdx];
+
+    if (step) {
+      for (const [model, price] of Object.entries(point.prices)) {
+        const belief = step.beliefs?.[model];
+        if (typeof belief !== "number") continue;
+        const gap = price * 100 - belief;
+
+        if (open[model]) {
+          if (strategy.exit === "signal" && Math.abs(gap) <= strategy.exitThreshold) {
+            close(model, price, point.ts, "signal");
+          }
+          continue;
+        }
+
+        const side = gap <= -strategy.threshold ? "long"
+          : gap >= strategy.threshold && strategy.side === "both" ? "short" : null;
+        // A price of 0 or 1 leaves nothing to win
+        if (!side || price <= 0 || price >= 1) continue;
+        open[model] = {
+          side,
+          entryTs: point.ts,
+          entryPrice: price,
+          entryBelief: belief,
+          entryGap: gap,
+          entryEval: step.eval,
+          stake: strategy.stake,
+          // Long risks the price per share, short risks (1 − price)
+          shares: strategy.stake / (side === "long" ? price : 1 - price),
+        };
+      }
+    }
+
+    const unrealized = Object.entries(open)
+      .reduce((s, [model, pos]) => s + positionValue(pos, point.prices[model] ?? pos.entryPrice), 0);
+    equity.push({ ts: point.ts, equity: realized + unrealized });
+  }
+
+  // Settle whatever is still open
+  const last = points[points.length - 1];
+  for (const model of Object.keys(open)) {
+    if (winner) {
+      close(model, model === winner ? 1 : 0, last.ts, "settlement");
+    } else {
+      close(model, last.prices[model] ?? open[model].entryPrice, last.ts, "end_of_data");
+    }
+  }
+  if (last) equity.push({ ts: last.ts, equity: realized });
+
+  return { ...summarize(trades, equity), trades, equity };
+}
+
+// Pools several market results; equity curves are chained in the given order.
+function aggregateBacktests(results) {
+  const trades = results.flatMap(r => r.trades);
+  const equity = [];
+  let offset = 0;
+  for (const r of results) {
+    for (const p of r.equity) equity.push({ ts: p.ts, equity: offset + p.equity });
+    offset += r.pnl;
+  }
+  return { ...summarize(trades, equity), equity };
+}
+
+const EVAL_TIME_KEYS = ["created_at", "completed_at", "evaluated_at", "timestamp", "ts"];
+
+// When did eval #n land? Preference order per eval:
+//   1. timestamps on the upstream eval objects (latest across models)
+//   2. first snapshot (taken while the market was open) that had n evals
+//   3. estimate: evals spread evenly across the chart's time span
+// Returns { times: { n: ms }, sources: { n: source }, counts: { source: k } }.
+function evalArrivalTimes(perModel, evalCount, storedEvals, dataPoints) {
+  const times = {};
+  const sources = {};
+
+  for (let i = 1; i <= evalCount; i++) {
+    let latest = null;
+    for (const obj of Object.values(perModel)) {
+      const e = obj.evalsRaw[i - 1];
+      const key = EVAL_TIME_KEYS.find(k => e?.[k] !== undefined);
+      const ms = key ? parseTimeParam(e[key]) : NaN;
+      if (Number.isFinite(ms)) latest = Math.max(latest ?? 0, ms);
+    }
+    if (latest) { times[i] = latest; sources[i] = "eval_timestamps"; }
+  }
+
+  for (const rec of storedEvals) {
+    if (rec.status === "closed") continue;
+    const n = Math.max(0, ...Object.values(rec.evals || {}).map(list => (Array.isArray(list) ? list.length : 0)));
+    for (let i = 1; i <= Math.min(n, evalCount); i++) {
+      if (!times[i]) { times[i] = rec.ts; sources[i] = "snapshots"; }
+    }
+  }
+
+  const ts = dataPoints.map(p => (Number(p.timestamp) || 0) * 1000).filter(t => t > 0);
+  const start = Math.min(...ts);
+  const end = Math.max(...ts);
+  for (let i = 1; i <= evalCount; i++) {
+    if (times[i] || !ts.length) continue;
+    times[i] = start + ((end - start) * i) / (evalCount + 1);
+    sources[i] = "estimated";
+  }
+
+  const counts = { eval_timestamps: 0, snapshots: 0, estimated: 0 };
+  for (const src of Object.values(sources)) counts[src]++;
+  return { times, sources, counts };
+}
+
+/**
+ * Runs one settled market from a computeMarketPrediction() result.
+ *   perModel, evalCount   from the prediction
+ *   actualWinner          resolved winner in any spelling ("TBD" if unknown)
+ *   dataPoints            chart data_points; storedEvals snapshot eval records
+ * Returns { winner } plus either { error } or { eval_timing, ...backtestMarket }.
+ */
+function replaySettledMarket({ perModel, evalCount, entryMap, actualWinner, dataPoints, storedEvals = [], beliefOpts, strategy }) {
+  // The entry map's spelling, so settlement matches the chart's model names
+  const winner = Object.values(entryMap).find(m => normalizeName(m) === normalizeName(actualWinner)) || null;
+  if (!winner) return { winner, error: "winner_unknown" };
+  if (dataPoints.length === 0) return { winner, error: "no_chart_data" };
+  if (evalCount === 0) return { winner, error: "no_eval_data" };
+
+  const { times, counts } = evalArrivalTimes(perModel, evalCount, storedEvals, dataPoints);
+  const beliefSteps = computeBeliefHistory(perModel, beliefOpts)
+    .map(h => ({ ts: times[h.eval], eval: h.eval, beliefs: h.beliefs }));
+  return { winner, eval_timing: counts, ...backtestMarket({ dataPoints, entryMap, beliefSteps, winner, strategy }) };
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  EVAL_TIME_KEYS,
+  strategyFromQuery,
+  backtestMarket,
+  aggregateBacktests,
+  evalArrivalTimes,
+  replaySettledMarket,
+};
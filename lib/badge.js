@@ -0,0 +1,167 @@
+// ─── SVG badges ───────────────────────────────────────────────────────────────
+//
+//  Small flat badges (shields.io layout) to paste into chats and docs instead
+//  of dashboard screenshots:
+//
+//    marketBadge    Delphi #id | leader  belief% | signal
+//                   settled:   Delphi #id | winner won | called / missed
+//    historyBadge   Delphi record | 4/6 · 67% | one dot per settled market,
+//                   green when the prediction was right, red when not
+//
+//  Text is measured with a per-character width table for 11px Verdana (there
+//  is no font engine on the server), so widths are close but not exact; each
+//  segment gets padding to absorb the difference. Beliefs are percentages,
+//  gaps pct points, as elsewhere.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const THEMES = {
+  dark: {
+    labelBg: "#0F1229", labelFg: "#A0AAC0", valueBg: "#1A1F3A", valueFg: "#E8EDF5", border: "#2A3050",
+    UNDERPRICED: "#00D89F", OVERPRICED: "#FF5C7C", ALIGNED: "#6B7588", signalFg: "#0A0D1F",
+    good: "#00D89F", bad: "#FF5C7C", line: "#2A3050",
+  },
+  light: {
+    labelBg: "#E8EDF5", labelFg: "#4A5468", valueBg: "#FFFFFF", valueFg: "#0A0D1F", border: "#D0D6E2",
+    UNDERPRICED: "#00A57A", OVERPRICED: "#D63A5C", ALIGNED: "#8A93A6", signalFg: "#FFFFFF",
+    good: "#00A57A", bad: "#D63A5C", line: "#D0D6E2",
+  },
+};
+
+const HEIGHT = 20;
+const PAD = 6;
+const DOT_STEP = 18;      // sparkline dot spacing
+const MAX_NAME = 28;
+
+// ?theme= → { theme } or { error } for a 400 response
+function themeFromQuery(query = {}) {
+  const theme = query.theme === undefined || query.theme === "" ? "dark" : String(query.theme);
+  if (!Object.hasOwn(THEMES, theme)) {
+    return { error: { error: "invalid_theme", field: "theme", value: theme, allowed: Object.keys(THEMES) } };
+  }
+  return { theme };
+}
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;").replaceAll("'", "&apos;");
+}
+
+// "org/model-name" → "model-name", capped at MAX_NAME characters
+function shortName(name) {
+  if (!name) return "—";
+  const short = String(name).split("/").pop();
+  return short.length > MAX_NAME ? `${short.slice(0, MAX_NAME - 1)}…` : short;
+}
+
+function charWidth(c) {
+  if ("iljI.,:;|!'`".includes(c)) return 3.5;
+  if ("frt()[] -/".includes(c)) return 4.5;
+  if ("mwMW%".includes(c)) return 10.5;
+  if (c >= "A" && c <= "Z") return 7.5;
+  if (c >= "0" && c <= "9") return 7;
+  return 6.6;
+}
+
+function textWidth(text) {
+  let w = 0;
+  for (const c of String(text)) w += charWidth(c);
+  return Math.ceil(w);
+}
+
+const pct = v => (typeof v === "number" && Number.isFinite(v) ? `${v.toFixed(1)}%` : "—");
+
+// segments [{ text, bg, fg, bold? }] → { width, rects, texts }
+function layout(segments) {
+  let x = 0;
+  const rects = [];
+  const texts = [];
+  for (const s of segments) {
+    const w = textWidth(s.text) + PAD * 2;
+    rects.push(`<rect x="${x}" width="${w}" height="${HEIGHT}" fill="${s.bg}"/>`);
+    texts.push(`<text x="${x + w / 2}" y="14" fill="${s.fg}"${s.bold ? ' font-weight="bold"' : ""}>${escapeXml(s.text)}</text>`);
+    x += w;
+  }
+  return { width: x, rects, texts };
+}
+
+function svg(width, title, theme, rects, body) {
+  const t = THEMES[theme];
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${HEIGHT}" role="img" aria-label="${escapeXml(title)}">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<clipPath id="r"><rect width="${width}" height="${HEIGHT}" rx="4"/></clipPath>`,
+    `<g clip-path="url(#r)">${rects.join("")}</g>`,
+    `<rect x="0.5" y="0.5" width="${width - 1}" height="${HEIGHT - 1}" rx="3.5" fill="none" stroke="${t.border}"/>`,
+    `<g font-family="Verdana,DejaVu Sans,sans-serif" font-size="11" text-anchor="middle">${body.join("")}</g>`,
+    "</svg>",
+  ].join("");
+}
+
+/**
+ * m      { market_id, status, leader, top_belief, signal, gap, winner, correct }
+ *        signal/gap are the leader's (null without prices); winner/correct
+ *        only for settled markets (correct null when the winner is unknown)
+ * theme  "dark" | "light"
+ */
+function marketBadge(m, theme = "dark") {
+  const t = THEMES[theme];
+  const label = `Delphi #${m.market_id}`;
+  const segments = [{ text: label, bg: t.labelBg, fg: t.labelFg }];
+  let title;
+
+  if (m.status === "closed") {
+    const value = m.winner ? `${shortName(m.winner)} won` : "settled";
+    segments.push({ text: value, bg: t.valueBg, fg: t.valueFg, bold: true });
+    if (typeof m.correct === "boolean") {
+      segments.push({ text: m.correct ? "called ✓" : "missed ✗", bg: m.correct ? t.good : t.bad, fg: t.signalFg, bold: true });
+    }
+    const verdict = m.correct === true ? ", predicted correctly" : m.correct === false ? ", predicted wrongly" : "";
+    title = `${label}: ${m.winner ? `${m.winner} won` : "settled"}${verdict}`;
+  } else if (!m.leader) {
+    segments.push({ text: "no evals yet", bg: t.valueBg, fg: t.valueFg });
+    title = `${label}: no evals yet`;
+  } else {
+    segments.push({ text: `${shortName(m.leader)}  ${pct(m.top_belief)}`, bg: t.valueBg, fg: t.valueFg, bold: true });
+    if (m.signal) segments.push({ text: m.signal, bg: t[m.signal], fg: t.signalFg, bold: true });
+    title = `${label}: ${m.leader} leads at ${pct(m.top_belief)} belief${m.signal ? `, ${m.signal} (gap ${m.gap > 0 ? "+" : ""}${m.gap} pts)` : ""}`;
+  }
+
+  const { width, rects, texts } = layout(segments);
+  return svg(width, title, theme, rects, texts);
+}
+
+/**
+ * h      { markets: [{ display_num, correct }] oldest first, correct, total, win_rate }
+ * theme  "dark" | "light"
+ */
+function historyBadge(h, theme = "dark") {
+  const t = THEMES[theme];
+  const value = h.total ? `${h.correct}/${h.total} · ${Math.round(h.win_rate)}%` : "no markets";
+  const { width: textW, rects, texts } = layout([
+    { text: "Delphi record", bg: t.labelBg, fg: t.labelFg },
+    { text: value, bg: t.valueBg, fg: t.valueFg, bold: true },
+  ]);
+
+  const sparkW = h.markets.length ? h.markets.length * DOT_STEP + 4 : 0;
+  const width = textW + sparkW;
+  if (sparkW) rects.push(`<rect x="${textW}" width="${sparkW}" height="${HEIGHT}" fill="${t.valueBg}"/>`);
+
+  const cx = i => textW + 2 + DOT_STEP / 2 + i * DOT_STEP;
+  const spark = [];
+  if (h.markets.length > 1) {
+    spark.push(`<line x1="${cx(0)}" y1="10" x2="${cx(h.markets.length - 1)}" y2="10" stroke="${t.line}"/>`);
+  }
+  h.markets.forEach((m, i) => {
+    const color = m.correct ? t.good : t.bad;
+    spark.push(`<circle cx="${cx(i)}" cy="10" r="7.5" fill="${t.valueBg}" stroke="${color}" stroke-width="1.5"/>`);
+    spark.push(`<text x="${cx(i)}" y="13" fill="${color}" font-size="8" font-weight="bold">${escapeXml(m.display_num ?? "?")}</text>`);
+  });
+
+  const title = h.total
+    ? `Delphi record: ${h.correct} of ${h.total} settled markets predicted correctly (${Math.round(h.win_rate)}%)`
+    : "Delphi record: no settled markets";
+  return svg(width, title, theme, rects, [...texts, ...spark]);
+}
+
+module.exports = { THEMES, themeFromQuery, marketBadge, historyBadge };
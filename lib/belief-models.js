@@ -0,0 +1,273 @@
+// ─── Belief models ────────────────────────────────────────────────────────────
+//
+//  Turns per-model eval results into a belief distribution (percent, sums to
+//  100). Every server route and the dashboard go through computeBeliefs() so
+//  there is exactly one place where scores become probabilities.
+//
+//  Input is the `perModel` map built by computeMarketPrediction():
+//    { [modelName]: { avgAggregate, perEvalAggregates, evalsRaw } }
+//
+//  Models with no evals get 0 belief. If no model has evals the result is {}.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_BELIEF_MODEL = "proportional";
+
+const BELIEF_MODELS = {
+  proportional: {
+    label: "Proportional",
+    description: "Average aggregate divided by the sum of all averages",
+    defaultTemperature: null,
+  },
+  softmax: {
+    label: "Softmax",
+    description: "exp(avg / T) normalized — lower T sharpens small score gaps",
+    defaultTemperature: 2,
+  },
+  zscore: {
+    label: "Z-score",
+    description: "Per-benchmark z-scores averaged per model, then softmax(z / T)",
+    defaultTemperature: 1,
+  },
+  bradley_terry: {
+    label: "Bradley-Terry",
+    description: "Strengths fitted from head-to-head wins on each eval",
+    defaultTemperature: null,
+  },
+};
+
+// Returns the canonical model key, or null when the name is unknown.
+function resolveBeliefModel(name) {
+  if (name === undefined || name === null || name === "") return DEFAULT_BELIEF_MODEL;
+  const key = String(name).trim().toLowerCase().replace(/[-\s]+/g, "_");
+  if (key === "rank" || key === "bt") return "bradley_terry";
+  return BELIEF_MODELS[key] ? key : null;
+}
+
+// Reads `belief_model` / `temperature` from an Express query object.
+// Returns { model, temperature } or { error } for a 400 response.
+function beliefOptionsFromQuery(query = {}) {
+  const model = resolveBeliefModel(query.belief_model);
+  if (!model) {
+    return {
+      error: {
+        error: "unknown_belief_model",
+        belief_model: String(query.belief_model),
+        allowed: Object.keys(BELIEF_MODELS),
+      },
+    };
+  }
+  let temperature = BELIEF_MODELS[model].defaultTemperature;
+  if (query.temperature !== undefined && temperature !== null) {
+    const t = Number(query.temperature);
+    if (!Number.isFinite(t) || t <= 0) {
+      return { error: { error: "invalid_temperature", temperature: String(query.temperature) } };
+    }
+    temperature = t;
+  }
+  return { model, temperature };
+}
+
+function finite(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function mean(arr) {
+  return arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+}
+
+// Scales non-negative weights to percentages. Zero total → {}.
+function toPercent(weights) {
+  const total = Object.values(weights).reduce((s, w) => s + w, 0);
+  if (!(total > 0)) return {};
+  const out = {};
+  for (const [model, w] of Object.entries(weights)) out[model] = (w / total) * 100;
+  return out;
+}
+
+function softmax(values, temperature) {
+  const entries = Object.entries(values);
+  if (entries.length === 0) return {};
+  const maxV = Math.max(...entries.map(([, v]) => v));
+  const weights = {};
+  for (const [model, v] of entries) weights[model] = Math.exp((v - maxV) / temperature);
+  return toPercent(weights);
+}
+
+function hasEvals(obj) {
+  return Array.isArray(obj?.perEvalAggregates) && obj.perEvalAggregates.length > 0;
+}
+
+// Fill in 0 for models that were left out (no evals) so every key is present.
+function withAllModels(perModel, beliefs) {
+  if (Object.keys(beliefs).length === 0) return {};
+  const out = {};
+  for (const model of Object.keys(perModel)) out[model] = beliefs[model] || 0;
+  return out;
+}
+
+// ─── Strategies ──────────────────────────────────────────────────────────────
+function proportional(perModel) {
+  const weights = {};
+  for (const [model, obj] of Object.entries(perModel)) {
+    weights[model] = hasEvals(obj) ? Math.max(obj.avgAggregate || 0, 0) : 0;
+  }
+  return toPercent(weights);
+}
+
+function softmaxOfAverages(perModel, temperature) {
+  const values = {};
+  for (const [model, obj] of Object.entries(perModel)) {
+    if (hasEvals(obj)) values[model] = obj.avgAggregate || 0;
+  }
+  return softmax(values, temperature);
+}
+
+// benchmark → aggregates for one model. Evals without a benchmark name
+// are keyed by position (eval_1, eval_2, …).
+function scoresByBenchmark(obj) {
+  const evals = Array.isArray(obj?.evalsRaw) ? obj.evalsRaw : [];
+  const byBench = {};
+  evals.forEach((e, i) => {
+    if (!finite(e?.aggregate)) return;
+    const bench = e.benchmark ? String(e.benchmark) : `eval_${i + 1}`;
+    (byBench[bench] = byBench[bench] || []).push(e.aggregate);
+  });
+  return byBench;
+}
+
+// benchmark → model → mean aggregate on that benchmark
+function benchmarkMatrix(perModel) {
+  const matrix = {};
+  for (const [model, obj] of Object.entries(perModel)) {
+    for (const [bench, scores] of Object.entries(scoresByBenchmark(obj))) {
+      (matrix[bench] = matrix[bench] || {})[model] = mean(scores);
+    }
+  }
+  return matrix;
+}
+
+function zscore(perModel, temperature) {
+  const zs = {};
+  for (const scores of Object.values(benchmarkMatrix(perModel))) {
+    const vals = Object.values(scores);
+    if (vals.length < 2) continue;
+    const mu = mean(vals);
+    const sd = Math.sqrt(mean(vals.map(v => (v - mu) ** 2)));
+    for (const [model, v] of Object.entries(scores)) {
+      (zs[model] = zs[model] || []).push(sd > 0 ? (v - mu) / sd : 0);
+    }
+  }
+  const values = {};
+  for (const [model, list] of Object.entries(zs)) values[model] = mean(list);
+  return softmax(values, temperature);
+}
+
+// Pairwise wins on aligned eval indices, fitted with the MM algorithm.
+// Every pair starts with half a win each so unbeaten/winless models stay finite.
+function bradleyTerry(perModel) {
+  const models = Object.keys(perModel).filter(m => hasEvals(perModel[m]));
+  if (models.length === 0) return {};
+  if (models.length === 1) return { [models[0]]: 100 };
+
+  const n = models.length;
+  const wins = Array.from({ length: n }, () => new Array(n).fill(0.5));
+  const games = Array.from({ length: n }, () => new Array(n).fill(1));
+  for (let i = 0; i < n; i++) {
+    const a = perModel[models[i]].perEvalAggregates;
+    for (let j = i + 1; j < n; j++) {
+      const b = perModel[models[j]].perEvalAggregates;
+      const len = Math.min(a.length, b.length);
+      for (let k = 0; k < len; k++) {
+        if (!finite(a[k]) || !finite(b[k])) continue;
+        const w = a[k] > b[k] ? 1 : a[k] < b[k] ? 0 : 0.5;
+        wins[i][j] += w;
+        wins[j][i] += 1 - w;
+        games[i][j] += 1;
+        games[j][i] += 1;
+      }
+    }
+  }
+
+  let p = new Array(n).fill(1 / n);
+  for (let iter = 0; iter < 200; iter++) {
+    const next = p.map((pi, i) => {
+      let w = 0, denom = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        w += wins[i][j];
+        denom += games[i][j] / (pi + p[j]);
+      }
+      return denom > 0 ? w / denom : pi;
+    });
+    const total = next.reduce((s, v) => s + v, 0);
+    const normed = next.map(v => v / total);
+    const delta = Math.max(...normed.map((v, i) => Math.abs(v - p[i])));
+    p = normed;
+    if (delta < 1e-9) break;
+  }
+
+  const weights = {};
+  models.forEach((m, i) => { weights[m] = p[i]; });
+  return toPercent(weights);
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+function computeBeliefs(perModel, { model = DEFAULT_BELIEF_MODEL, temperature } = {}) {
+  const key = resolveBeliefModel(model);
+  if (!key) throw new Error(`Unknown belief model: ${model}`);
+  const t = finite(temperature) && temperature > 0 ? temperature : BELIEF_MODELS[key].defaultTemperature;
+
+  let beliefs;
+  if (key === "softmax")            beliefs = softmaxOfAverages(perModel, t);
+  else if (key === "zscore")        beliefs = zscore(perModel, t);
+  else if (key === "bradley_terry") beliefs = bradleyTerry(perModel);
+  else                              beliefs = proportional(perModel);
+
+  return withAllModels(perModel, beliefs);
+}
+
+function pickLeader(beliefs) {
+  let predictedWinner = null, topBelief = 0;
+  for (const [model, belief] of Object.entries(beliefs)) {
+    if (belief > topBelief) { topBelief = belief; predictedWinner = model; }
+  }
+  return { predictedWinner, topBelief };
+}
+
+// Restricts every model to its first `n` evals (recomputing avgAggregate).
+function truncatePerModel(perModel, n) {
+  const out = {};
+  for (const [model, obj] of Object.entries(perModel)) {
+    const perEvalAggregates = (obj.perEvalAggregates || []).slice(0, n);
+    out[model] = {
+      ...obj,
+      perEvalAggregates,
+      evalsRaw: (obj.evalsRaw || []).slice(0, n),
+      avgAggregate: mean(perEvalAggregates),
+    };
+  }
+  return out;
+}
+
+// Belief after eval 1, 2, … N — what the dashboard's belief chart plots.
+function computeBeliefHistory(perModel, opts = {}) {
+  const maxEvals = Math.max(0, ...Object.values(perModel).map(o => (o.perEvalAggregates || []).length));
+  const history = [];
+  for (let n = 1; n <= maxEvals; n++) {
+    history.push({ eval: n, beliefs: computeBeliefs(truncatePerModel(perModel, n), opts) });
+  }
+  return history;
+}
+
+module.exports = {
+  BELIEF_MODELS,
+  DEFAULT_BELIEF_MODEL,
+  resolveBeliefModel,
+  beliefOptionsFromQuery,
+  computeBeliefs,
+  computeBeliefHistory,
+  truncatePerModel,
+  scoresByBenchmark,
+  benchmarkMatrix,
+  pickLeader,
+};
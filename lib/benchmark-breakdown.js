@@ -0,0 +1,92 @@
+// ─── Benchmark breakdown ──────────────────────────────────────────────────────
+//
+//  Splits a market's evals back out per benchmark so we can tell whether the
+//  leader is ahead everywhere or only on one benchmark.
+//
+//  Input is the same `perModel` map the belief models take. The leader and
+//  runner-up are passed in (they depend on the belief model in use); the
+//  "decisive" check works on raw eval averages, the same basis avgScore uses.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { scoresByBenchmark, benchmarkMatrix } = require("./belief-models");
+
+function sum(arr) {
+  return arr.reduce((a, b) => a + b, 0);
+}
+
+// Model with the highest mean aggregate, leaving `skipBench` out
+function topByAverage(grouped, skipBench) {
+  let best = null;
+  for (const [model, byBench] of Object.entries(grouped)) {
+    const scores = Object.entries(byBench)
+      .filter(([bench]) => bench !== skipBench)
+      .flatMap(([, list]) => list);
+    if (scores.length === 0) continue;
+    const avg = sum(scores) / scores.length;
+    if (!best || avg > best.avg) best = { model, avg };
+  }
+  return best ? best.model : null;
+}
+
+function benchmarkBreakdown(perModel, { leader = null, runnerUp = null } = {}) {
+  const models = Object.keys(perModel);
+  const matrix = benchmarkMatrix(perModel);
+  const grouped = Object.fromEntries(models.map(m => [m, scoresByBenchmark(perModel[m])]));
+  const evalCounts = {};
+  for (const byBench of Object.values(grouped)) {
+    for (const [bench, list] of Object.entries(byBench)) {
+      evalCounts[bench] = Math.max(evalCounts[bench] || 0, list.length);
+    }
+  }
+
+  const averageLeader = topByAverage(grouped, null);
+
+  const perBenchmark = Object.entries(matrix).map(([benchmark, scores]) => {
+    const ranking = Object.entries(scores)
+      .sort((a, b) => b[1] - a[1])
+      .map(([model, score], i) => ({ model, score, rank: i + 1 }));
+    const values = ranking.map(r => r.score);
+    const leaderRow = ranking.find(r => r.model === leader);
+    const runnerRow = ranking.find(r => r.model === runnerUp);
+    const withoutIt = topByAverage(grouped, benchmark);
+
+    return {
+      benchmark,
+      eval_count: evalCounts[benchmark] || 0,
+      ranking,
+      top_model: ranking[0]?.model || null,
+      spread: values.length > 1 ? values[0] - values[values.length - 1] : 0,
+      leader_rank: leaderRow ? leaderRow.rank : null,
+      leader_margin: leaderRow && runnerRow ? leaderRow.score - runnerRow.score : null,
+      // Dropping this benchmark would hand the top average to someone else
+      decisive: !!averageLeader && !!withoutIt && withoutIt !== averageLeader,
+      leader_without: withoutIt,
+    };
+  });
+
+  const withLeader = perBenchmark.filter(b => b.leader_rank !== null);
+  const led = withLeader.filter(b => b.leader_rank === 1);
+
+  return {
+    models,
+    benchmarks: perBenchmark.map(b => b.benchmark),
+    matrix,
+    per_benchmark: perBenchmark,
+    summary: {
+      leader,
+      runner_up: runnerUp,
+      average_leader: averageLeader,
+      benchmarks_led: led.length,
+      benchmark_count: withLeader.length,
+      leads_across_board: withLeader.length > 0 && led.length === withLeader.length,
+      // Benchmarks where the leader beats the runner-up, biggest margin first
+      decided_by: perBenchmark
+        .filter(b => b.leader_margin !== null && b.leader_margin > 0)
+        .sort((a, b) => b.leader_margin - a.leader_margin)
+        .map(b => b.benchmark),
+      decisive_benchmarks: perBenchmark.filter(b => b.decisive).map(b => b.benchmark),
+    },
+  };
+}
+
+module.exports = { benchmarkBreakdown };
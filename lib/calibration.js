@@ -0,0 +1,116 @@
+// ─── Forecast calibration ─────────────────────────────────────────────────────
+//
+//  Scores a probability distribution over a market's models against the
+//  settled winner. Both belief and market price are scored the same way:
+//
+//    Brier     Σ (p_i − o_i)²  over every model      0 = perfect, 2 = worst
+//    log loss  −ln p_winner    (p clipped at 1e-6)   0 = perfect
+//
+//  Reliability buckets pool every (market, model) forecast and compare the
+//  average forecast in each probability band with how often it came true.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const LOG_LOSS_EPS = 1e-6;
+
+// Any non-negative weights (percent, prices, …) → fractions summing to 1.
+// Returns {} when there is nothing to normalize.
+function normalizeForecast(weights) {
+  const clean = Object.entries(weights || {}).filter(([, v]) => typeof v === "number" && Number.isFinite(v) && v >= 0);
+  const total = clean.reduce((s, [, v]) => s + v, 0);
+  if (!(total > 0)) return {};
+  return Object.fromEntries(clean.map(([model, v]) => [model, v / total]));
+}
+
+// probs: model → fraction (sums to 1); winner: a key of probs
+function scoreForecast(probs, winner) {
+  let brier = 0;
+  for (const [model, p] of Object.entries(probs)) {
+    brier += (p - (model === winner ? 1 : 0)) ** 2;
+  }
+  const pWinner = probs[winner] ?? 0;
+  return {
+    brier,
+    log_loss: -Math.log(Math.min(Math.max(pWinner, LOG_LOSS_EPS), 1)),
+    p_winner: pWinner,
+  };
+}
+
+// pairs: [{ p, hit }] → one row per probability band
+function reliabilityTable(pairs, bucketCount = 10) {
+  const rows = Array.from({ length: bucketCount }, (_, i) => ({
+    bucket: i,
+    lower: i / bucketCount,
+    upper: (i + 1) / bucketCount,
+    count: 0,
+    hits: 0,
+    sum: 0,
+  }));
+  for (const { p, hit } of pairs) {
+    const row = rows[Math.min(Math.floor(p * bucketCount), bucketCount - 1)];
+    row.count++;
+    row.sum += p;
+    if (hit) row.hits++;
+  }
+  return rows.map(({ sum, ...row }) => ({
+    ...row,
+    mean_forecast: row.count ? sum / row.count : null,
+    observed_rate: row.count ? row.hits / row.count : null,
+  }));
+}
+
+// Expected calibration error: count-weighted |forecast − observed| over buckets
+function calibrationError(table) {
+  const total = table.reduce((s, r) => s + r.count, 0);
+  if (!total) return null;
+  return table.reduce((s, r) => s + (r.count ? (r.count / total) * Math.abs(r.mean_forecast - r.observed_rate) : 0), 0);
+}
+
+function meanOf(list, key) {
+  const vals = list.map(x => x[key]).filter(v => typeof v === "number" && Number.isFinite(v));
+  return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+}
+
+/**
+ * markets: [{ winner, belief: probs|null, market: probs|null }]
+ * Only markets where both forecasters are present count toward the
+ * head-to-head comparison; each forecaster's own averages use every market
+ * it has a forecast for.
+ */
+function calibrationSummary(markets, bucketCount = 10) {
+  const out = { reliability: {}, forecasters: {} };
+  for (const key of ["belief", "market"]) {
+    const scored = markets.filter(m => m[key]);
+    const pairs = scored.flatMap(m => Object.entries(m[key]).map(([model, p]) => ({ p, hit: model === m.winner })));
+    const table = reliabilityTable(pairs, bucketCount);
+    const scores = scored.map(m => scoreForecast(m[key], m.winner));
+    out.reliability[key] = table;
+    out.forecasters[key] = {
+      markets: scored.length,
+      brier: meanOf(scores, "brier"),
+      log_loss: meanOf(scores, "log_loss"),
+      mean_p_winner: meanOf(scores, "p_winner"),
+      calibration_error: calibrationError(table),
+    };
+  }
+
+  const both = markets.filter(m => m.belief && m.market);
+  const b = both.map(m => scoreForecast(m.belief, m.winner));
+  const k = both.map(m => scoreForecast(m.market, m.winner));
+  const beliefBrier = meanOf(b, "brier");
+  const marketBrier = meanOf(k, "brier");
+  out.head_to_head = {
+    markets: both.length,
+    belief_brier: beliefBrier,
+    market_brier: marketBrier,
+    belief_log_loss: meanOf(b, "log_loss"),
+    market_log_loss: meanOf(k, "log_loss"),
+    // > 0 means belief beats the market on Brier
+    brier_skill: beliefBrier !== null && marketBrier > 0 ? 1 - beliefBrier / marketBrier : null,
+    belief_wins: both.filter((_, i) => b[i].brier < k[i].brier).length,
+    better_forecaster: beliefBrier === null || marketBrier === null ? null
+      : beliefBrier < marketBrier ? "belief" : beliefBrier > marketBrier ? "market" : "tie",
+  };
+  return out;
+}
+
+module.exports = { normalizeForecast, scoreForecast, reliabilityTable, calibrationSummary };
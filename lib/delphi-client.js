@@ -0,0 +1,206 @@
+// ─── Delphi upstream client ───────────────────────────────────────────────────
+//
+//  Every call to https://delphi.gensyn.ai goes through here:
+//    • timeout on every request (AbortController)
+//    • retry with exponential backoff on 5xx / 429 / network errors / aborts / bad JSON
+//    • in-flight coalescing: concurrent callers for the same path share one request
+//    • cache keyed by path (market + endpoint + query) with stale-while-revalidate
+//    • if upstream fails, the last good payload is served with `stale: true`
+//
+//  Every method resolves (never rejects) to:
+//    { ok, status, json, text, stale, cached, fetched_at, error? }
+//
+//  onUpstream({ type, path, status, error, duration_ms }) is called after every
+//  upstream attempt (retries included), for metrics.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_BASE_URL = "https://delphi.gensyn.ai";
+
+// Fresh window per endpoint type. Within `swr` after that, the cached payload
+// is served immediately and refreshed in the background.
+const DEFAULT_TTL = {
+  markets: { fresh: 60000, swr: 300000 },
+  evals:   { fresh: 8000,  swr: 60000 },
+  chart:   { fresh: 5000,  swr: 60000 },
+  other:   { fresh: 5000,  swr: 30000 },
+};
+
+const MAX_CACHE_ENTRIES = 500;
+
+async function defaultFetch(url, opts) {
+  if (global.fetch) return global.fetch(url, opts);
+  const { default: nodeFetch } = await import("node-fetch");
+  return nodeFetch(url, opts);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function endpointType(path) {
+  if (/\/evals(\?|$)/.test(path)) return "evals";
+  if (/\/chart(\?|$)/.test(path)) return "chart";
+  if (/^\/api\/markets(\?|$)/.test(path)) return "markets";
+  return "other";
+}
+
+function createDelphiClient({
+  baseUrl = DEFAULT_BASE_URL,
+  fetchImpl = defaultFetch,
+  timeoutMs = 9000,
+  retries = 2,
+  backoffMs = 250,
+  ttl = DEFAULT_TTL,
+  onUpstream = null,
+} = {}) {
+  const cache = new Map();     // path → { result, time }
+  const inFlight = new Map();  // path → Promise<result>
+  const stats = {};            // endpoint type → { hits, misses, stale, errors }
+
+  function bump(type, field) {
+    const s = stats[type] || (stats[type] = { hits: 0, misses: 0, stale: 0, errors: 0 });
+    s[field]++;
+  }
+
+  async function attempt(path) {
+    const started = Date.now();
+    const r = await rawAttempt(path);
+    if (onUpstream) {
+      try {
+        onUpstream({ type: endpointType(path), path, status: r.status, error: r.error, duration_ms: Date.now() - started });
+      } catch {}
+    }
+    return r;
+  }
+
+  async function rawAttempt(path) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const res = await fetchImpl(baseUrl + path, {
+        signal: ctrl.signal,
+        headers: {
+          accept: "application/json",
+          "user-agent": "Mozilla/5.0",
+          "cache-control": "no-cache, no-store, must-revalidate",
+          pragma: "no-cache",
+        },
+      });
+      const text = await res.text();
+      const error = res.ok ? undefined : `upstream_${res.status}`;
+      try {
+        return { ok: res.ok, status: res.status, json: JSON.parse(text), text, error };
+      } catch {
+        return { ok: false, status: res.status, json: null, text, error: error || "bad_json" };
+      }
+    } catch (e) {
+      const error = e?.name === "AbortError" ? "timeout" : String(e?.message || e);
+      return { ok: false, status: 0, json: null, text: String(e), error };
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  function retryable(r) {
+    return r.status === 0 || r.status === 429 || r.status >= 500 || r.error === "bad_json";
+  }
+
+  async function fetchWithRetry(path) {
+    let r;
+    for (let i = 0; i <= retries; i++) {
+      if (i > 0) await sleep(backoffMs * 2 ** (i - 1) * (0.75 + Math.random() * 0.5));
+      r = await attempt(path);
+      if (!retryable(r)) break;
+    }
+    return r;
+  }
+
+  function remember(path, result) {
+    cache.delete(path);
+    cache.set(path, { result, time: Date.now() });
+    if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+  }
+
+  // One upstream round-trip per path at a time; successful JSON is cached.
+  function load(path) {
+    if (inFlight.has(path)) return inFlight.get(path);
+    const p = fetchWithRetry(path)
+      .then(r => {
+        const result = { ...r, stale: false, cached: false, fetched_at: new Date().toISOString() };
+        if (r.ok && r.json) remember(path, result);
+        else bump(endpointType(path), "errors");
+        return result;
+      })
+      .finally(() => inFlight.delete(path));
+    inFlight.set(path, p);
+    return p;
+  }
+
+  async function request(path, { noCache = false } = {}) {
+    const type = endpointType(path);
+    const win = ttl[type] || ttl.other;
+    const entry = noCache ? null : cache.get(path);
+    const age = entry ? Date.now() - entry.time : Infinity;
+
+    if (entry && age < win.fresh) {
+      bump(type, "hits");
+      return { ...entry.result, cached: true };
+    }
+    if (entry && age < win.fresh + win.swr) {
+      bump(type, "hits");
+      load(path).catch(() => {});
+      return { ...entry.result, cached: true };
+    }
+
+    bump(type, "misses");
+    const r = await load(path);
+    if (r.ok && r.json) return r;
+
+    // Upstream failed — fall back to the last good payload if we have one
+    const lastGood = cache.get(path);
+    if (lastGood) {
+      bump(type, "stale");
+      return { ...lastGood.result, cached: true, stale: true, error: r.error };
+    }
+    return r;
+  }
+
+  function qs(params) {
+    const parts = Object.entries(params)
+      .filter(([, v]) => v !== undefined && v !== null && v !== "")
+      .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`);
+    return parts.length ? `?${parts.join("&")}` : "";
+  }
+
+  const id = marketId => encodeURIComponent(String(marketId));
+
+  return {
+    request,
+    markets: ({ status, limit } = {}, opts) =>
+      request(`/api/markets${qs({ limit, status })}`, opts),
+    evals: (marketId, modelIdx, opts) =>
+      request(`/api/markets/${id(marketId)}/evals${qs({ modelIdx })}`, opts),
+    chart: (marketId, timeframe = "auto", opts) =>
+      request(`/api/markets/${id(marketId)}/chart${qs({ timeframe })}`, opts),
+
+    // Cache introspection for health/metrics routes
+    cacheStats: () => JSON.parse(JSON.stringify(stats)),
+    cacheAge: path => (cache.has(path) ? Date.now() - cache.get(path).time : null),
+    cacheEntries: () => cache.size,
+    // endpoint type → { entries, newest_age_s, oldest_age_s }
+    cacheAges: () => {
+      const now = Date.now();
+      const out = {};
+      for (const [path, entry] of cache) {
+        const age = Math.round((now - entry.time) / 1000);
+        const t = out[endpointType(path)] || (out[endpointType(path)] = { entries: 0, newest_age_s: age, oldest_age_s: age });
+        t.entries++;
+        t.newest_age_s = Math.min(t.newest_age_s, age);
+        t.oldest_age_s = Math.max(t.oldest_age_s, age);
+      }
+      return out;
+    },
+  };
+}
+
+module.exports = { createDelphiClient, defaultFetch, DEFAULT_TTL };
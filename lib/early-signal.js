@@ -0,0 +1,106 @@
+// ─── Early-signal analysis ────────────────────────────────────────────────────
+//
+//  How soon would the belief system have named a settled market's winner?
+//  For each market the predicted winner is recomputed after eval 1, 2, … N
+//  (computeBeliefHistory), then:
+//
+//    steps               leader, top belief and winner belief after each eval
+//    changes             every eval where the leader switched, from → to
+//    correct_from_eval   first eval from which the prediction stayed correct
+//                        through the last eval (null if it ended wrong)
+//
+//  Across markets, accuracy and average winner belief are reported per eval
+//  count. A market with fewer evals than n counts with its final prediction,
+//  so every point on the curve covers the same markets; markets_with_evals
+//  says how many really had n evals.
+//
+//  Beliefs are percentages as computeBeliefs() returns them, timestamps ms.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { pickLeader } = require("./belief-models");
+const { normalizeName } = require("./model-registry");
+const { round } = require("./numbers");
+
+const sameName = (a, b) => !!a && !!b && normalizeName(a) === normalizeName(b);
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * history  [{ eval, beliefs }] from computeBeliefHistory, oldest first
+ * winner   the settled winner's model name
+ * times    optional { n: ms } eval arrival times (evalArrivalTimes)
+ */
+function earlySignalMarket(history, winner, times = {}) {
+  const steps = [];
+  const changes = [];
+  let prev = null;
+  for (const { eval: n, beliefs } of history) {
+    const { predictedWinner, topBelief } = pickLeader(beliefs);
+    const winnerKey = Object.keys(beliefs).find(m => sameName(m, winner));
+    const step = {
+      eval: n,
+      ts: times[n] ?? null,
+      leader: predictedWinner,
+      top_belief: round(topBelief, 2),
+      winner_belief: round(winnerKey ? beliefs[winnerKey] : 0, 2),
+      correct: sameName(predictedWinner, winner),
+    };
+    if (prev && step.leader !== prev.leader) {
+      changes.push({ eval: n, ts: step.ts, from: prev.leader, to: step.leader });
+    }
+    steps.push(step);
+    prev = step;
+  }
+
+  let correctFrom = null;
+  for (let i = steps.length - 1; i >= 0 && steps[i].correct; i--) correctFrom = steps[i].eval;
+
+  const last = steps[steps.length - 1] || null;
+  return {
+    eval_count: steps.length,
+    final_leader: last?.leader ?? null,
+    correct: !!last?.correct,
+    correct_from_eval: correctFrom,
+    leader_changes: changes.length,
+    last_leader_change: changes[changes.length - 1] || null,
+    steps,
+    changes,
+  };
+}
+
+// results: earlySignalMarket outputs → accuracy curve and headline numbers
+function earlySignalSummary(results) {
+  const maxEvals = Math.max(0, ...results.map(r => r.eval_count));
+  const byEval = [];
+  for (let n = 1; n <= maxEvals; n++) {
+    const at = results.map(r => r.steps[Math.min(n, r.eval_count) - 1]);
+    const correct = at.filter(s => s.correct).length;
+    byEval.push({
+      eval: n,
+      markets: at.length,
+      markets_with_evals: results.filter(r => r.eval_count >= n).length,
+      correct,
+      accuracy: round((correct / at.length) * 100, 1),
+      avg_winner_belief: round(mean(at.map(s => s.winner_belief)), 2),
+      avg_top_belief: round(mean(at.map(s => s.top_belief)), 2),
+    });
+  }
+
+  const finallyCorrect = results.filter(r => r.correct);
+  return {
+    max_evals: maxEvals,
+    summary: {
+      markets: results.length,
+      final_accuracy: results.length ? round((finallyCorrect.length / results.length) * 100, 1) : null,
+      avg_correct_from_eval: round(mean(finallyCorrect.map(r => r.correct_from_eval)), 2),
+      avg_leader_changes: round(mean(results.map(r => r.leader_changes)), 2),
+      // Markets whose first-eval leader was already the winner and never lost it
+      called_from_first_eval: finallyCorrect.filter(r => r.correct_from_eval === 1).length,
+    },
+    by_eval: byEval,
+  };
+}
+
+module.exports = { earlySignalMarket, earlySignalSummary };
@@ -0,0 +1,72 @@
+// ─── Tidy exports ─────────────────────────────────────────────────────────────
+//
+//  Flat, one-observation-per-row tables for analysts. Column lists are fixed
+//  per dataset so downstream sheets and notebooks don't break when a field is
+//  empty; missing values are written as empty CSV cells / JSON null.
+//
+//    csv      RFC 4180 — header row, CRLF line endings, quoted when needed
+//    ndjson   one JSON object per line, keys in column order
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+
+const EXPORT_COLUMNS = {
+  evals: [
+    "market_id", "market_name", "market_status",
+    "model", "entry_idx", "eval", "benchmark", "score", "evaluated_at",
+  ],
+  prices: [
+    "market_id", "market_name",
+    "ts", "timestamp", "model", "entry_idx", "price",
+  ],
+  historical: [
+    "market_id", "market_name", "closed_date", "belief_model",
+    "model", "entry_idx", "eval_count", "avg_score", "belief", "belief_rank",
+    "predicted_winner", "actual_winner", "is_predicted", "is_winner", "prediction_correct",
+  ],
+};
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// Reads `format` from an Express query object (default csv).
+// Returns { format } or { error } for a 400 response.
+function formatFromQuery(query = {}) {
+  if (query.format === undefined || query.format === "") return { format: "csv" };
+  const format = String(query.format).toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: { error: "invalid_format", value: String(query.format), allowed: EXPORT_FORMATS } };
+  }
+  return { format };
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = typeof v === "number" && !Number.isFinite(v) ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function serialize(dataset, rows, format) {
+  const columns = EXPORT_COLUMNS[dataset];
+  if (format === "ndjson") {
+    return rows
+      .map(row => JSON.stringify(Object.fromEntries(columns.map(c => [c, row[c] ?? null]))) + "\n")
+      .join("");
+  }
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Sends rows as a download: delphi-<dataset>[-<suffix>].<format>
+function sendExport(res, { dataset, rows, format, suffix }) {
+  const name = ["delphi", dataset, suffix].filter(Boolean).join("-").replace(/[^\w.-]+/g, "_");
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${name}.${format}"`);
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.send(serialize(dataset, rows, format));
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_COLUMNS, formatFromQuery, serialize, sendExport };
@@ -0,0 +1,122 @@
+// ─── Head-to-head ─────────────────────────────────────────────────────────────
+//
+//  Pairwise records between a market's models. Evals are aligned by index
+//  (eval k of A against eval k of B, the same pairing Bradley-Terry uses):
+//
+//    wins / losses / ties   how often A outscored B
+//    win_rate               (wins + ties / 2) / games
+//    avg_margin             mean of A − B over aligned evals (score points)
+//    implied_p              P(A beats B) from Bradley-Terry strengths:
+//                           s_A / (s_A + s_B)
+//    by_benchmark           the same record split by benchmark
+//
+//  Outcomes come from settled markets: `outcome` is this market's result for
+//  the pair when one of the two won it, and `history` counts, over the other
+//  settled markets both entered, how often each of them won. Models are
+//  matched across markets by their model-registry id.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { computeBeliefs } = require("./belief-models");
+const { resolveModel } = require("./model-registry");
+const { round } = require("./numbers");
+
+function emptyRecord() {
+  return { games: 0, wins: 0, losses: 0, ties: 0 };
+}
+
+function tally(record, a, b) {
+  record.games++;
+  if (a > b) record.wins++;
+  else if (a < b) record.losses++;
+  else record.ties++;
+}
+
+const winRate = r => (r.games ? (r.wins + r.ties / 2) / r.games : null);
+
+function isScore(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+// perModel (from computeMarketPrediction) → { models, strengths, matrix, summary }
+function headToHead(perModel) {
+  const models = Object.keys(perModel);
+  const strengths = computeBeliefs(perModel, { model: "bradley_terry" });
+
+  const matrix = {};
+  for (const a of models) {
+    matrix[a] = {};
+    const sa = perModel[a].perEvalAggregates || [];
+    const evalsA = perModel[a].evalsRaw || [];
+    for (const b of models) {
+      if (a === b) continue;
+      const sb = perModel[b].perEvalAggregates || [];
+      const record = emptyRecord();
+      const byBenchmark = {};
+      let marginSum = 0;
+      for (let k = 0; k < Math.min(sa.length, sb.length); k++) {
+        if (!isScore(sa[k]) || !isScore(sb[k])) continue;
+        tally(record, sa[k], sb[k]);
+        const bench = evalsA[k]?.benchmark ? String(evalsA[k].benchmark) : `eval_${k + 1}`;
+        tally((byBenchmark[bench] = byBenchmark[bench] || emptyRecord()), sa[k], sb[k]);
+        marginSum += sa[k] - sb[k];
+      }
+      const pa = strengths[a] || 0;
+      const pb = strengths[b] || 0;
+      matrix[a][b] = {
+        ...record,
+        win_rate: round(winRate(record), 4),
+        avg_margin: record.games ? round(marginSum / record.games, 2) : null,
+        implied_p: pa + pb > 0 && record.games ? round(pa / (pa + pb), 4) : null,
+        by_benchmark: byBenchmark,
+      };
+    }
+  }
+
+  // Rivals each model beats on most aligned evals: "beats everyone but one"
+  const summary = models.map(model => {
+    const rows = Object.values(matrix[model]).filter(c => c.games > 0);
+    return {
+      model,
+      strength: round(strengths[model] ?? 0, 2),
+      rivals: rows.length,
+      rivals_beaten: rows.filter(c => c.win_rate > 0.5).length,
+      rivals_lost_to: rows.filter(c => c.win_rate < 0.5).length,
+      win_rate: round(winRate(rows.reduce((t, c) => ({
+        games: t.games + c.games, wins: t.wins + c.wins, ties: t.ties + c.ties,
+      }), { games: 0, wins: 0, ties: 0 })), 4),
+    };
+  }).sort((x, y) => y.rivals_beaten - x.rivals_beaten || (y.win_rate ?? 0) - (x.win_rate ?? 0));
+
+  return { models, strengths, matrix, summary };
+}
+
+/**
+ * Adds settled-market outcomes to a headToHead() matrix, in place.
+ * winner    this market's winner, or null while it is open / unknown
+ * settled   other settled markets: [{ marketId, models: [name], winner }]
+ */
+function addOutcomes(result, winner, settled = []) {
+  const idOf = name => resolveModel(name).id;
+  const winnerId = winner ? idOf(winner) : null;
+  const others = settled
+    .filter(m => m.winner)
+    .map(m => ({ market_id: m.marketId, ids: new Set(m.models.map(idOf)), winner: idOf(m.winner) }));
+
+  for (const [a, row] of Object.entries(result.matrix)) {
+    const ia = idOf(a);
+    for (const [b, cell] of Object.entries(row)) {
+      const ib = idOf(b);
+      cell.outcome = winnerId === ia ? "won" : winnerId === ib ? "lost" : null;
+      const shared = others.filter(m => m.ids.has(ia) && m.ids.has(ib));
+      cell.history = {
+        markets: shared.length,
+        wins: shared.filter(m => m.winner === ia).length,
+        losses: shared.filter(m => m.winner === ib).length,
+        market_ids: shared.map(m => m.market_id),
+      };
+    }
+  }
+  return result;
+}
+
+module.exports = { headToHead, addOutcomes };
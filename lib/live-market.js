@@ -0,0 +1,186 @@
+// ─── Live market detection ────────────────────────────────────────────────────
+//
+//  No hardcoded current market ID: upstream is asked for ongoing markets and
+//  every one with real eval data counts as live (Gensyn can run several tiers
+//  at once). The newest live market is the default pick; if nothing is live
+//  the pick falls back to the latest settled market in the registry.
+//
+//  Ghost IDs — listed as "ongoing" but with no evals — are skipped. The
+//  configured ghostIds are skipped for good; ghosts found on a check are only
+//  skipped for ghostTtlMs and then probed again, since a placeholder market
+//  can start receiving evals later.
+//
+//  A market that drops out of the live set has most likely settled, so the
+//  registry is told to expect it (registry.expect) and lists it without
+//  waiting for its next scheduled refresh.
+//
+//  detectAll() resolves to every live market, newest first (possibly []).
+//  detect() resolves to the default pick. Both give markets shaped
+//  { market_id, market_name, status, entryMap, isKnown, created_ts }.
+//  state() reports the cached pick, the live ids, the cache age and the ghost
+//  set, for health.
+//
+//  Optional hooks, for metrics:
+//    onGhost(marketId)           a new ghost was found (not on re-probes)
+//    onChange(current, previous) the default pick or its status changed
+//    onCacheLookup(hit)          answered from cache (true) or not
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { createLogger } = require("./logger");
+
+const log = createLogger("live-market");
+
+function createLiveMarketDetector({
+  client,
+  registry,
+  overrides = {},
+  ghostIds = [],
+  cacheMs = 60000,
+  ghostTtlMs = 10 * 60 * 1000,
+  onGhost = null,
+  onChange = null,
+  onCacheLookup = null,
+}) {
+  const configuredGhosts = new Set(ghostIds.map(String));
+  const ghosts = new Map(); // marketId → when it was last found without evals
+  let cache = null;   // { live: [market], pick: market }
+  let cacheTime = 0;
+  let inFlight = null;
+
+  // Stores the new live set and pick, and reports what changed
+  function store(live, next, time) {
+    const prev = cache;
+    cache = { live, pick: next };
+    cacheTime = time;
+    const ids = live.map(m => m.market_id);
+    const prevIds = prev ? prev.live.map(m => m.market_id) : [];
+    if (ids.join(",") !== prevIds.join(",")) {
+      log.info("Live markets", { market_ids: ids, previous_market_ids: prevIds });
+    }
+    if (onChange && (!prev || prev.pick.market_id !== next.market_id || prev.pick.status !== next.status)) {
+      onChange(next, prev?.pick ?? null);
+    }
+    return cache;
+  }
+
+  // Validate a market actually has real eval data (not a ghost)
+  async function marketHasRealData(marketId) {
+    // Quick check: probe modelIdx=0, need at least 1 eval returned
+    const r = await client.evals(marketId, 0);
+    const evals = r?.json?.evals;
+    return Array.isArray(evals) && evals.length > 0;
+  }
+
+  // One ongoing candidate → live market record, or null for a ghost.
+  // Entry maps found on an earlier check are reused rather than rediscovered.
+  async function resolveCandidate(candidate, previous) {
+    const marketId = String(candidate.market_id);
+    if (!(await marketHasRealData(marketId))) {
+      // Remembered so checks within ghostTtlMs skip it without a probe
+      if (!ghosts.has(marketId)) {
+        log.info("Skipping market with no eval data (ghost)", { market_id: marketId, market_name: candidate.market_name });
+        onGhost?.(marketId);
+      }
+      ghosts.set(marketId, Date.now());
+      return null;
+    }
+    if (ghosts.delete(marketId)) {
+      log.info("Ghost market has eval data now", { market_id: marketId, market_name: candidate.market_name });
+    }
+
+    const base = { market_id: marketId, status: "ongoing", created_ts: candidate.created_ts ?? null };
+    const known = overrides[marketId];
+    if (known) return { ...base, market_name: known.name, entryMap: known.entryMap, isKnown: true };
+
+    const prev = previous.find(m => m.market_id === marketId);
+    if (prev) return { ...base, market_name: candidate.market_name || prev.market_name, entryMap: prev.entryMap, isKnown: false };
+
+    log.info("New market detected, discovering models", { market_id: marketId, market_name: candidate.market_name });
+    const { entryMap, source } = await registry.resolveEntryMap(marketId, candidate);
+    log.info("Models discovered", { market_id: marketId, models: Object.keys(entryMap).length, source });
+    return { ...base, market_name: candidate.market_name || `Market #${marketId}`, entryMap, isKnown: false };
+  }
+
+  function isGhost(marketId, now) {
+    return configuredGhosts.has(marketId) || (ghosts.has(marketId) && now - ghosts.get(marketId) < ghostTtlMs);
+  }
+
+  async function refresh() {
+    const now = Date.now();
+    const live = [];
+    let checked = false;
+    try {
+      const r = await client.markets({ limit: 10, status: "ongoing" });
+      const candidates = (r?.json?.items || [])
+        .filter(m => !isGhost(String(m.market_id), now))
+        .sort((a, b) => (b.created_ts || 0) - (a.created_ts || 0)); // newest first
+      for (const candidate of candidates) {
+        const market = await resolveCandidate(candidate, cache?.live || []);
+        if (market) live.push(market);
+      }
+      checked = !!r?.ok;
+    } catch (e) {
+      log.error("Check failed", { error: e });
+    }
+
+    const dropped = (cache?.live || [])
+      .map(m => m.market_id)
+      .filter(id => !live.some(m => m.market_id === id));
+    if (checked && dropped.length) {
+      log.info("Markets no longer live, expecting them to settle", { market_ids: dropped });
+      registry.expect(dropped);
+    }
+
+    if (live.length) {
+      log.debug("Active market", { market_id: live[0].market_id, market_name: live[0].market_name, live: live.length });
+      return store(live, live[0], now);
+    }
+
+    // Nothing live (or all candidates were ghosts) — fall back to latest settled market
+    await registry.ensureFresh();
+    const settled = registry.list();
+    const latest = settled[settled.length - 1];
+    log.debug("No active market found, showing latest settled", { market_id: latest.marketId });
+    return store([], {
+      market_id: latest.marketId,
+      market_name: latest.name,
+      status: "closed",
+      entryMap: latest.entryMap,
+      isKnown: latest.source !== "discovered",
+      created_ts: null,
+    }, Date.now());
+  }
+
+  // Cached for cacheMs; concurrent callers share one upstream check
+  async function current() {
+    if (cache && Date.now() - cacheTime < cacheMs) {
+      onCacheLookup?.(true);
+      return cache;
+    }
+    onCacheLookup?.(false);
+    if (!inFlight) inFlight = refresh().finally(() => { inFlight = null; });
+    return inFlight;
+  }
+
+  async function detect() {
+    return (await current()).pick;
+  }
+
+  async function detectAll() {
+    return (await current()).live;
+  }
+
+  function state() {
+    return {
+      market_id: cache?.pick.market_id ?? null,
+      status: cache?.pick.status ?? null,
+      live_market_ids: cache ? cache.live.map(m => m.market_id) : [],
+      age_s: cache ? Math.round((Date.now() - cacheTime) / 1000) : null,
+      ghost_ids: [...new Set([...configuredGhosts, ...ghosts.keys()])],
+    };
+  }
+
+  return { detect, detectAll, state };
+}
+
+module.exports = { createLiveMarketDetector };
@@ -0,0 +1,77 @@
+// ─── Structured logging ───────────────────────────────────────────────────────
+//
+//  One JSON object per line:
+//
+//    {"time":"…","level":"info","component":"live-market","msg":"Active market",
+//     "request_id":"…","market_id":"5"}
+//
+//  request_id (and anything else put in the request context) is added to every
+//  line logged while that request is being handled, including from lib code
+//  it calls, via AsyncLocalStorage.
+//
+//    LOG_LEVEL    debug | info | warn | error   (default info)
+//    LOG_FORMAT   json | pretty                 (default json; pretty for local dev)
+//
+//  Lines go out through console.log / console.warn / console.error, so
+//  anything that redirects console (the CLI does) redirects these too.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CONSOLE_METHOD = { debug: "log", info: "log", warn: "warn", error: "error" };
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || "").toLowerCase()] ?? LEVELS.info;
+}
+
+// Error objects become their message; undefined fields are dropped
+function cleanFields(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (v === undefined) continue;
+    out[k] = v instanceof Error ? v.message : v;
+  }
+  return out;
+}
+
+function formatPretty({ time, level, component, msg, ...fields }) {
+  const extra = Object.entries(fields)
+    .map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`)
+    .join(" ");
+  const tag = level === "info" ? "" : ` ${level.toUpperCase()}`;
+  return `[${component}]${tag} ${msg}${extra ? `  ${extra}` : ""}`;
+}
+
+function emit(level, component, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...context.getStore(),
+    ...cleanFields(fields),
+  };
+  const line = process.env.LOG_FORMAT === "pretty" ? formatPretty(entry) : JSON.stringify(entry);
+  console[CONSOLE_METHOD[level]](line);
+}
+
+// createLogger("registry").info("Discovered market", { market_id: "5" })
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => emit("debug", component, msg, fields),
+    info:  (msg, fields) => emit("info", component, msg, fields),
+    warn:  (msg, fields) => emit("warn", component, msg, fields),
+    error: (msg, fields) => emit("error", component, msg, fields),
+  };
+}
+
+// Runs fn with fields (e.g. { request_id }) attached to every log line inside it
+function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = { createLogger, runWithLogContext, LEVELS };
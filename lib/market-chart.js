@@ -0,0 +1,65 @@
+// ─── Market chart helpers ─────────────────────────────────────────────────────
+// Shared parsing for /api/markets/:id/chart payloads.
+
+// Upstream has served the chart in three shapes over time
+function extractMarketChart(chartJson) {
+  if (chartJson?.market_chart?.data_points)            return chartJson.market_chart;
+  if (chartJson?.data_points)                          return chartJson;
+  if (chartJson?.data?.market_chart?.data_points)      return chartJson.data.market_chart;
+  return null;
+}
+
+// Prices arrive as strings or numbers; anything else is NaN
+function parsePrice(price) {
+  return typeof price === "string" ? Number(price)
+       : typeof price === "number" ? price : NaN;
+}
+
+// Index of the entry with the highest price on the last data point
+function topEntryIdx(chartJson) {
+  const pts = extractMarketChart(chartJson)?.data_points;
+  if (!Array.isArray(pts) || pts.length === 0) return null;
+
+  const last = pts[pts.length - 1];
+  const entries = last?.entries;
+  if (!Array.isArray(entries) || entries.length === 0) return null;
+
+  let best = null;
+  for (const e of entries) {
+    const price = parsePrice(e.price);
+    if (!Number.isFinite(price)) continue;
+    if (!best || price > best.price) best = { idx: String(e.entry_idx), price };
+  }
+  return best ? best.idx : null;
+}
+
+// Chart data_points → [{ ts (ms), prices: { modelName: price } }], oldest first
+function chartSeries(dataPoints, entryMap) {
+  return dataPoints
+    .map(point => {
+      const prices = {};
+      for (const e of point?.entries || []) {
+        const name = entryMap[String(e.entry_idx)];
+        const price = parsePrice(e.price);
+        if (name && Number.isFinite(price)) prices[name] = price;
+      }
+      return { ts: (Number(point?.timestamp) || 0) * 1000, prices };
+    })
+    .filter(p => p.ts > 0)
+    .sort((a, b) => a.ts - b.ts);
+}
+
+// Several data_point lists as one, deduped by timestamp (later lists win)
+function mergeDataPoints(...lists) {
+  const byTs = new Map();
+  for (const list of lists) for (const p of list || []) byTs.set(Number(p.timestamp), p);
+  return [...byTs.values()];
+}
+
+function pickWinnerFromChart(chartJson, entryMap) {
+  const idx = topEntryIdx(chartJson);
+  if (idx === null) return null;
+  return entryMap?.[idx] || null;
+}
+
+module.exports = { extractMarketChart, parsePrice, chartSeries, mergeDataPoints, topEntryIdx, pickWinnerFromChart };
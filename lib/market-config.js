@@ -0,0 +1,87 @@
+// ─── MARKET CONFIG (overrides) ────────────────────────────────────────────────
+//
+//  Settled markets are auto-discovered (see lib/market-registry.js). Entries
+//  here override the discovered name/winner/entryMap — use them when upstream
+//  metadata is missing or wrong. A market does not need to be listed here.
+//
+//  Delphi UI order (oldest → newest) mapped to API market_ids:
+//
+//  Display # | API ID | Market Name                                    | Winner
+//  ──────────┼────────┼────────────────────────────────────────────────┼──────────────────────────────────
+//  Market 1  |   0    | Middleweight General Reasoning Benchmark        | Qwen/Qwen3-30B-A3B-Instruct-2507
+//  Market 2  |   1    | Middleweight General Reasoning Benchmark (II)   | Qwen/Qwen3-30B-A3B-Instruct-2507
+//  Market 3  |   3    | Lightweight General Reasoning Benchmark         | Qwen/Qwen3-8B
+//  Market 4  |   4    | Commercial-Fast Reasoning Benchmark             | grok-4.1-fast-reasoning
+//
+//  API ID 2 = ghost/ongoing entry with no valid evals or chart → excluded entirely.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MARKET_CONFIG = {
+  "0": {
+    displayNum: 1,
+    name: "Gensyn Middleweight General Reasoning Benchmark",
+    closedDate: "Dec 29, 2024",
+    confirmedWinner: "Qwen/Qwen3-30B-A3B-Instruct-2507",
+    entryMap: {
+      "0": "Qwen/Qwen3-30B-A3B-Instruct-2507",
+      "1": "zai-org/glm-4-32b-0414",
+      "2": "tiiuae/falcon-h1-34b-instruct",
+      "3": "google/gemma-3-27b-it",
+      "4": "openai/gpt-oss-20b",
+    },
+  },
+  "1": {
+    displayNum: 2,
+    name: "Gensyn Middleweight General Reasoning Benchmark (II)",
+    closedDate: "Dec 29, 2024",
+    confirmedWinner: "Qwen/Qwen3-30B-A3B-Instruct-2507",
+    entryMap: {
+      "0": "Qwen/Qwen3-30B-A3B-Instruct-2507",
+      "1": "openai/gpt-oss-20b",
+      "2": "google/gemma-3-27b-it",
+      "3": "zai-org/glm-4-32b-0414",
+      "4": "tiiuae/falcon-h1-34b-instruct",
+    },
+  },
+  "3": {
+    displayNum: 3,
+    name: "Gensyn Lightweight General Reasoning Benchmark",
+    closedDate: "Jan 30, 2025",
+    confirmedWinner: "Qwen/Qwen3-8B",
+    // Confirmed from /api/debug-market/3:
+    // modelIdx=0 → Qwen/Qwen3-8B      → avgAggregate 42.59
+    // modelIdx=1 → mistralai           → avgAggregate 43.54 (higher score but Qwen actually won)
+    // modelIdx=2 → ibm-granite         → avgAggregate 37.02
+    // modelIdx=3 → allenai/olmo        → avgAggregate 34.29
+    // modelIdx=4 → meta-llama          → avgAggregate 38.05
+    // NOTE: Mistralai scored highest on evals AND had 88.5% market price —
+    // but Qwen won. Genuine incorrect prediction by belief system (not a mapping bug).
+    entryMap: {
+      "0": "Qwen/Qwen3-8B",
+      "1": "mistralai/ministral-3-8b-instruct-2512",
+      "2": "ibm-granite/granite-4.0-h-tiny",
+      "3": "allenai/olmo-3-7b-instruct",
+      "4": "meta-llama/llama-3.1-8b-instruct",
+    },
+  },
+  "4": {
+    displayNum: 4,
+    name: "Gensyn Commercial-Fast Reasoning Benchmark",
+    closedDate: "Feb 27, 2025",
+    confirmedWinner: "grok-4.1-fast-reasoning",
+    entryMap: {
+      "0": "claude-haiku-4-5",
+      "1": "gemini-3-flash-preview",
+      "2": "gpt-5-mini",
+      "3": "grok-4.1-fast-reasoning",
+    },
+  },
+};
+
+// Ghost IDs — market IDs that appear as "ongoing" in the Delphi API
+// but have no real eval/chart data and should never be treated as live.
+// Only ID "2" is a confirmed ghost (stale entry Gensyn never cleaned up).
+// IDs 0,1,3,4 are real settled markets and handled via the fallback path.
+const GHOST_MARKET_IDS = ["2"];
+
+module.exports = { MARKET_CONFIG, GHOST_MARKET_IDS };
@@ -0,0 +1,291 @@
+// ─── Market registry ──────────────────────────────────────────────────────────
+//
+//  Settled markets are discovered from /api/markets?status=closed instead of
+//  being hand-edited into a config file. For each new closed market we resolve:
+//    • entry index → model name, from whatever upstream metadata carries names
+//      (market list item, market detail, eval payloads), else "Entry #n"
+//    • the winner, from metadata winner fields, else the final chart top price
+//
+//  Discovered records are persisted to a JSON file so restarts (or an upstream
+//  outage) don't lose them. Hand-written overrides (MARKET_CONFIG) are layered
+//  on top at read time and always win.
+//
+//  The listing is re-read every ttlMs. A market that was just live is expected
+//  to show up as closed sooner: expect(ids) makes ensureFresh() retry every
+//  retryMs until each id is discovered (or ttlMs has passed), looking the
+//  market up directly when the listing doesn't have it yet. Otherwise a market
+//  that settles would vanish for the rest of the ttl.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs");
+const path = require("path");
+const { pickWinnerFromChart } = require("./market-chart");
+const { createLogger } = require("./logger");
+
+const log = createLogger("registry");
+
+const MAX_PROBE_ENTRIES = 10;
+
+const ENTRY_LIST_KEYS = ["entries", "models", "outcomes", "options", "candidates"];
+const NAME_KEYS = ["model_name", "modelName", "model_id", "model", "display_name", "name", "label", "title"];
+const IDX_KEYS = ["entry_idx", "entryIdx", "model_idx", "modelIdx", "idx", "index"];
+const WINNER_IDX_KEYS = ["winning_entry_idx", "winner_entry_idx", "winner_idx", "resolved_entry_idx", "outcome_idx"];
+const WINNER_NAME_KEYS = ["winner", "winner_name", "winning_model", "resolved_model"];
+
+function firstString(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (typeof v === "string" && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+function firstIndex(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && v !== "" && Number.isInteger(Number(v))) return String(Number(v));
+  }
+  return null;
+}
+
+// Market payloads are sometimes wrapped: { market: {...} } or { data: {...} }
+function unwrap(json) {
+  return json?.market || json?.data?.market || json?.data || json || null;
+}
+
+// Collects idx → name from any entry-list-shaped field on the given objects
+function entryNamesFromMetadata(...sources) {
+  const names = {};
+  for (const src of sources.map(unwrap)) {
+    for (const key of ENTRY_LIST_KEYS) {
+      const list = src?.[key];
+      if (!Array.isArray(list)) continue;
+      list.forEach((item, pos) => {
+        const name = typeof item === "string" ? item.trim() : firstString(item, NAME_KEYS);
+        const idx = typeof item === "object" ? firstIndex(item, IDX_KEYS) ?? String(pos) : String(pos);
+        if (name && !names[idx]) names[idx] = name;
+      });
+    }
+  }
+  return names;
+}
+
+function winnerFromMetadata(entryMap, ...sources) {
+  for (const src of sources.map(unwrap)) {
+    const idx = firstIndex(src, WINNER_IDX_KEYS) ?? firstIndex(src?.result, IDX_KEYS);
+    if (idx !== null && entryMap[idx]) return entryMap[idx];
+    const name = firstString(src, WINNER_NAME_KEYS);
+    if (name) return name;
+  }
+  return null;
+}
+
+function toMs(ts) {
+  const n = Number(ts);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return n < 1e12 ? n * 1000 : n;
+}
+
+function formatDate(ms) {
+  return ms ? new Date(ms).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" }) : null;
+}
+
+// onGhost(marketId) is called when a closed market turns out to have no evals
+function createMarketRegistry({ client, file, overrides = {}, ttlMs = 10 * 60 * 1000, retryMs = 30 * 1000, onGhost = null }) {
+  let discovered = {};        // marketId → record (persisted)
+  let loaded = false;
+  let lastRefresh = 0;
+  let refreshing = null;
+  const expected = new Map(); // marketId → when it was expected to settle
+
+  function load() {
+    if (loaded) return;
+    loaded = true;
+    try {
+      discovered = JSON.parse(fs.readFileSync(file, "utf8")).markets || {};
+    } catch (e) {
+      if (e.code !== "ENOENT") log.warn("Could not read registry file", { file, error: e });
+    }
+  }
+
+  async function save() {
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const body = JSON.stringify({ updated_at: new Date().toISOString(), markets: discovered }, null, 2);
+      await fs.promises.writeFile(file, body, "utf8");
+    } catch (e) {
+      log.warn("Could not write registry file", { file, error: e });
+    }
+  }
+
+  // Probes modelIdx 0..9 for evals; names come from metadata when present.
+  async function resolveEntryMap(marketId, listItem) {
+    const [detail, ...probes] = await Promise.all([
+      client.request(`/api/markets/${encodeURIComponent(marketId)}`),
+      ...Array.from({ length: MAX_PROBE_ENTRIES }, (_, i) => client.evals(marketId, i)),
+    ]);
+    const named = entryNamesFromMetadata(listItem, detail.ok ? detail.json : null);
+
+    const entryMap = {};
+    let fromMetadata = 0;
+    probes.forEach((r, i) => {
+      const hasEvals = r.ok && Array.isArray(r.json?.evals) && r.json.evals.length > 0;
+      const key = String(i);
+      const evalName = firstString(r.json, NAME_KEYS);
+      if (!hasEvals && !named[key]) return;
+      entryMap[key] = named[key] || evalName || `Entry #${i}`;
+      if (named[key] || evalName) fromMetadata++;
+    });
+
+    const source = Object.keys(entryMap).length === 0 ? "none"
+      : fromMetadata === Object.keys(entryMap).length ? "metadata"
+      : fromMetadata > 0 ? "partial_metadata" : "placeholder";
+    const reachable = probes.some(r => r.ok);
+    return { entryMap, source, reachable, detail: detail.ok ? detail.json : null };
+  }
+
+  async function discoverMarket(item) {
+    const marketId = String(item.market_id);
+    const { entryMap, source, reachable, detail } = await resolveEntryMap(marketId, item);
+    if (!reachable) throw new Error("evals endpoint unreachable");
+    if (Object.keys(entryMap).length === 0) {
+      log.info("Market has no eval data, marking ghost", { market_id: marketId, market_name: item.market_name });
+      onGhost?.(marketId);
+      return { marketId, ghost: true };
+    }
+
+    let winner = winnerFromMetadata(entryMap, item, detail);
+    let winnerSource = winner ? "metadata" : null;
+    if (!winner) {
+      const chart = await client.chart(marketId);
+      winner = chart.ok ? pickWinnerFromChart(chart.json, entryMap) : null;
+      winnerSource = winner ? "chart_top_price" : "unavailable";
+    }
+
+    const meta = unwrap(detail) || {};
+    const closedMs = toMs(item.closed_ts ?? item.end_ts ?? item.resolved_ts ?? meta.closed_ts ?? meta.end_ts);
+    const record = {
+      marketId,
+      name: item.market_name || meta.market_name || `Market #${marketId}`,
+      createdTs: toMs(item.created_ts ?? meta.created_ts),
+      closedTs: closedMs,
+      closedDate: formatDate(closedMs),
+      winner,
+      winnerSource,
+      entryMap,
+      entryMapSource: source,
+      discoveredAt: new Date().toISOString(),
+    };
+    log.info("Discovered market", { market_id: marketId, market_name: record.name, entries: Object.keys(entryMap).length, source, winner });
+    return record;
+  }
+
+  async function refresh() {
+    load();
+    const r = await client.markets({ limit: 100, status: "closed" });
+    const items = Array.isArray(r.json?.items) ? r.json.items : [];
+    if (!r.ok || r.stale) {
+      log.warn("Closed-market listing unavailable, using stored registry", { error: r.error, status: r.status });
+      if (items.length === 0) return;
+    }
+
+    let changed = false;
+    for (const item of items) {
+      const marketId = String(item?.market_id ?? "");
+      // Known markets are only retried while their winner is still unresolved
+      if (!marketId || (discovered[marketId] && discovered[marketId].winnerSource !== "unavailable")) continue;
+      // Fully pinned by an override — nothing upstream could add
+      if (overrides[marketId]?.entryMap && overrides[marketId]?.confirmedWinner) continue;
+      try {
+        discovered[marketId] = await discoverMarket(item);
+        changed = true;
+      } catch (e) {
+        log.error("Market discovery failed", { market_id: marketId, error: e });
+      }
+    }
+
+    // The listing may lag (or be cached) right after a market settles
+    for (const marketId of expected.keys()) {
+      if (discovered[marketId]) continue;
+      const detail = await client.request(`/api/markets/${encodeURIComponent(marketId)}`);
+      const item = detail.ok ? unwrap(detail.json) : null;
+      if (item?.status !== "closed") continue;
+      try {
+        discovered[marketId] = await discoverMarket({ ...item, market_id: marketId });
+        changed = true;
+      } catch (e) {
+        log.error("Market discovery failed", { market_id: marketId, error: e });
+      }
+    }
+    lastRefresh = Date.now();
+    if (changed) await save();
+  }
+
+  // Markets that just stopped being live (see the header)
+  function expect(marketIds) {
+    load();
+    for (const id of marketIds.map(String)) {
+      if (!discovered[id] && !overrides[id] && !expected.has(id)) expected.set(id, Date.now());
+    }
+  }
+
+  // Refreshes at most once per ttl (per retryMs while an expected market is
+  // missing); concurrent callers share one refresh.
+  async function ensureFresh() {
+    load();
+    const now = Date.now();
+    for (const [id, since] of expected) {
+      if (discovered[id] || now - since > ttlMs) expected.delete(id);
+    }
+    const age = now - lastRefresh;
+    if (age < ttlMs && !(expected.size > 0 && age >= retryMs)) return;
+    if (!refreshing) {
+      refreshing = refresh()
+        .catch(e => log.error("Refresh failed", { error: e }))
+        .finally(() => { refreshing = null; lastRefresh = Date.now(); });
+    }
+    await refreshing;
+  }
+
+  function merge(marketId) {
+    const d = discovered[marketId]?.ghost ? null : discovered[marketId];
+    const o = overrides[marketId];
+    if (!o && !d) return null;
+    return {
+      marketId,
+      name: o?.name || d?.name || `Market #${marketId}`,
+      closedDate: o?.closedDate || d?.closedDate || "—",
+      confirmedWinner: o?.confirmedWinner || d?.winner || null,
+      winnerSource: o?.confirmedWinner ? "confirmed" : d?.winnerSource || "unavailable",
+      entryMap: o?.entryMap || d?.entryMap || {},
+      entryMapSource: o?.entryMap ? "confirmed_config" : d?.entryMapSource || "none",
+      displayNum: o?.displayNum ?? null,
+      source: o ? (d ? "config+discovered" : "config") : "discovered",
+    };
+  }
+
+  // Settled markets, oldest → newest (market ids are assigned sequentially)
+  function list() {
+    load();
+    const ids = new Set([...Object.keys(overrides), ...Object.keys(discovered)]);
+    const records = [...ids]
+      .map(merge)
+      .filter(Boolean)
+      .sort((a, b) => Number(a.marketId) - Number(b.marketId));
+    // Discovered markets continue numbering after the previous market
+    let last = 0;
+    for (const rec of records) {
+      if (rec.displayNum === null) rec.displayNum = last + 1;
+      last = rec.displayNum;
+    }
+    return records;
+  }
+
+  function get(marketId) {
+    return list().find(r => r.marketId === String(marketId)) || null;
+  }
+
+  return { ensureFresh, refresh, expect, list, get, resolveEntryMap };
+}
+
+module.exports = { createMarketRegistry, entryNamesFromMetadata };
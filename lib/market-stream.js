@@ -0,0 +1,179 @@
+// ─── Market event stream ──────────────────────────────────────────────────────
+//
+//  One shared poll per market, fanned out to every subscriber (SSE clients).
+//  Each poll is diffed against the previous one and turned into typed events:
+//
+//    status   status or staleness changed     { market_id, market_name, status, stale }
+//    evals    eval count or leader changed    { market_id, eval_count, beliefs, predicted_winner, top_belief }
+//    prices   new chart points                { market_id, points: [{ ts, prices }] }
+//    settled  an ongoing market closed        { market_id, winner }
+//
+//  Event ids are "<epoch>-<seq>". A client that reconnects with its last id
+//  gets the events it missed replayed from a per-market buffer. If the id is
+//  from another server run or has fallen out of the buffer, it gets a fresh
+//  snapshot of the current state instead (events flagged `snapshot: true`).
+//
+//  A market's poll stops when its last subscriber leaves.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { createLogger } = require("./logger");
+
+const BUFFER_SIZE = 200;
+
+const log = createLogger("stream");
+
+/**
+ * loadState(marketId) → {
+ *   marketId, marketName, status, stale,
+ *   evalCount, beliefs, predictedWinner, topBelief,
+ *   prices: [{ ts, prices }]   sorted, ms epochs
+ *   winner                     settled winner or null
+ * } or null when nothing could be loaded this round.
+ */
+function createMarketStream({ loadState, pollMs = 15000, bufferSize = BUFFER_SIZE }) {
+  const epoch = Date.now().toString(36);
+  const channels = new Map();
+  let seq = 0;
+
+  function eventId(n) {
+    return `${epoch}-${n}`;
+  }
+
+  function parseEventId(id) {
+    const m = /^([a-z0-9]+)-(\d+)$/.exec(String(id || ""));
+    return m && m[1] === epoch ? Number(m[2]) : null;
+  }
+
+  // ── Payloads ──
+  const payloads = {
+    status: s => ({ market_id: s.marketId, market_name: s.marketName, status: s.status, stale: !!s.stale }),
+    evals: s => ({
+      market_id: s.marketId,
+      eval_count: s.evalCount,
+      beliefs: s.beliefs,
+      predicted_winner: s.predictedWinner,
+      top_belief: s.topBelief,
+    }),
+    prices: (s, points) => ({ market_id: s.marketId, points }),
+    settled: s => ({ market_id: s.marketId, winner: s.winner || null }),
+  };
+
+  function diffStates(prev, next) {
+    const events = [];
+    if (prev.status !== next.status || !!prev.stale !== !!next.stale) {
+      events.push(["status", payloads.status(next)]);
+    }
+    if (prev.evalCount !== next.evalCount || prev.predictedWinner !== next.predictedWinner) {
+      events.push(["evals", payloads.evals(next)]);
+    }
+    const lastTs = prev.prices.length ? prev.prices[prev.prices.length - 1].ts : -Infinity;
+    const fresh = next.prices.filter(p => p.ts > lastTs);
+    if (fresh.length) events.push(["prices", payloads.prices(next, fresh)]);
+    if (prev.status === "ongoing" && next.status !== "ongoing") {
+      events.push(["settled", payloads.settled(next)]);
+    }
+    return events;
+  }
+
+  // What a client with no usable cursor needs to catch up
+  function snapshot(state) {
+    const last = state.prices[state.prices.length - 1];
+    const events = [
+      ["status", payloads.status(state)],
+      ["evals", payloads.evals(state)],
+    ];
+    if (last) events.push(["prices", payloads.prices(state, [last])]);
+    if (state.status !== "ongoing") events.push(["settled", payloads.settled(state)]);
+    return events.map(([event, data]) => ({ id: eventId(seq), event, data: { ...data, snapshot: true } }));
+  }
+
+  // ── Channels ──
+  function publish(ch, event, data) {
+    const msg = { seq: ++seq, id: eventId(seq), event, data };
+    ch.buffer.push(msg);
+    if (ch.buffer.length > bufferSize) ch.floor = ch.buffer.shift().seq;
+    for (const send of ch.subscribers) send(msg);
+  }
+
+  async function poll(ch) {
+    if (ch.polling) return ch.ready;
+    ch.polling = true;
+    try {
+      const next = await loadState(ch.marketId);
+      if (!next) return;
+      const prev = ch.state;
+      ch.state = next;
+      if (prev) {
+        for (const [event, data] of diffStates(prev, next)) publish(ch, event, data);
+      } else {
+        // Subscribers that joined before there was any state to show
+        for (const send of ch.waiting) for (const msg of snapshot(next)) send(msg);
+        ch.waiting.clear();
+      }
+    } catch (e) {
+      log.error("Poll failed", { market_id: ch.marketId, error: e });
+    } finally {
+      ch.polling = false;
+    }
+  }
+
+  function open(marketId) {
+    let ch = channels.get(marketId);
+    if (ch) return ch;
+    // Cursors issued before the channel existed can't be replayed — floor is past them
+    ch = { marketId, subscribers: new Set(), waiting: new Set(), state: null, buffer: [], floor: ++seq, polling: false, timer: null };
+    ch.ready = poll(ch);
+    ch.timer = setInterval(() => poll(ch), pollMs);
+    ch.timer.unref?.();
+    channels.set(marketId, ch);
+    return ch;
+  }
+
+  function close(ch) {
+    clearInterval(ch.timer);
+    channels.delete(ch.marketId);
+  }
+
+  /**
+   * Adds a subscriber. `send({ id, event, data })` is called for every event,
+   * starting with the replay (or snapshot) for `lastEventId`.
+   * Resolves to an unsubscribe function; if the replay throws, the subscriber
+   * is removed and the promise rejects.
+   */
+  async function subscribe(marketId, { lastEventId, send }) {
+    const ch = open(String(marketId));
+    ch.subscribers.add(send);
+    const unsubscribe = () => {
+      ch.subscribers.delete(send);
+      ch.waiting.delete(send);
+      if (ch.subscribers.size === 0) close(ch);
+    };
+
+    try {
+      await ch.ready;
+      const cursor = parseEventId(lastEventId);
+      if (cursor !== null && cursor >= ch.floor) {
+        for (const msg of ch.buffer) if (msg.seq > cursor) send(msg);
+      } else if (ch.state) {
+        for (const msg of snapshot(ch.state)) send(msg);
+      } else {
+        ch.waiting.add(send);
+      }
+    } catch (e) {
+      unsubscribe();   // rejected subscribers must not linger on the channel
+      throw e;
+    }
+    return unsubscribe;
+  }
+
+  function stats() {
+    return {
+      markets: channels.size,
+      subscribers: [...channels.values()].reduce((n, ch) => n + ch.subscribers.size, 0),
+    };
+  }
+
+  return { subscribe, stats };
+}
+
+module.exports = { createMarketStream };
@@ -0,0 +1,112 @@
+// ─── Prometheus metrics ───────────────────────────────────────────────────────
+//
+//  A small in-process registry rendered in the Prometheus text format
+//  (version 0.0.4) for GET /api/metrics:
+//
+//    counter(name, help, labels)            .inc(labels, n = 1)
+//    gauge(name, help, labels)              .set(labels, value)
+//    histogram(name, help, labels, buckets) .observe(labels, value)
+//
+//  Counts kept elsewhere (e.g. the Delphi client's cache stats) are copied in
+//  at scrape time from a collect() callback; counters take .set() for that.
+//
+//  Label sets are keyed by their values in the order the labels were declared,
+//  so keep label values low-cardinality (route patterns, not raw paths).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelString(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isNaN(v) ? "NaN" : String(v);
+}
+
+function createMetrics() {
+  const metrics = new Map();   // name → metric
+  const collectors = [];
+
+  function register(name, help, type, labelNames) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} already registered`);
+    const metric = { name, help, type, labelNames, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels = {}, init) {
+    const values = metric.labelNames.map(n => String(labels[n] ?? ""));
+    const key = JSON.stringify(values);
+    let s = metric.series.get(key);
+    if (!s) metric.series.set(key, (s = { values, ...init() }));
+    return s;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const m = register(name, help, "counter", labelNames);
+    return {
+      inc: (labels, n = 1) => { seriesFor(m, labels, () => ({ value: 0 })).value += n; },
+      set: (labels, value) => { seriesFor(m, labels, () => ({ value: 0 })).value = value; },
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const m = register(name, help, "gauge", labelNames);
+    return {
+      set: (labels, value) => { seriesFor(m, labels, () => ({ value: 0 })).value = value; },
+      // Drops every series, for gauges rebuilt from scratch on each scrape
+      reset: () => m.series.clear(),
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const m = register(name, help, "histogram", labelNames);
+    m.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe: (labels, value) => {
+        const s = seriesFor(m, labels, () => ({ counts: m.buckets.map(() => 0), sum: 0, count: 0 }));
+        m.buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      },
+    };
+  }
+
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function render() {
+    for (const fn of collectors) fn();
+    const lines = [];
+    for (const m of metrics.values()) {
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      for (const s of m.series.values()) {
+        if (m.type !== "histogram") {
+          lines.push(`${m.name}${labelString(m.labelNames, s.values)} ${formatValue(s.value)}`);
+          continue;
+        }
+        m.buckets.forEach((le, i) => {
+          lines.push(`${m.name}_bucket${labelString(m.labelNames, s.values, `le="${le}"`)} ${s.counts[i]}`);
+        });
+        lines.push(`${m.name}_bucket${labelString(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${m.name}_sum${labelString(m.labelNames, s.values)} ${s.sum}`);
+        lines.push(`${m.name}_count${labelString(m.labelNames, s.values)} ${s.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
@@ -0,0 +1,109 @@
+// ─── Model registry ───────────────────────────────────────────────────────────
+//
+//  One record per model across every market. Market entry maps use whatever
+//  name upstream shows ("Qwen/Qwen3-8B", "grok-4.1-fast-reasoning", …); this
+//  maps those names to a canonical id with vendor, parameter class and a
+//  stable color.
+//
+//  Names not in the catalog still resolve: the id is derived from the name
+//  (vendor prefix dropped) and the color is picked from PALETTE by hash, so
+//  the same unknown model keeps the same color everywhere.
+//
+//  param_class follows Gensyn's market tiers:
+//    lightweight   ≤ ~10B parameters
+//    middleweight  ~20–35B
+//    commercial    hosted API models, size undisclosed
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MODEL_CATALOG = [
+  // Middleweight
+  { id: "qwen3-30b-a3b-instruct", name: "Qwen3-30B-A3B-Instruct-2507", vendor: "Qwen", param_class: "middleweight", params: "30B (3B active)", color: "#A78BFA",
+    aliases: ["Qwen/Qwen3-30B-A3B-Instruct-2507", "qwen3-30b-a3b"] },
+  { id: "glm-4-32b", name: "GLM-4-32B-0414", vendor: "Z.ai", param_class: "middleweight", params: "32B", color: "#F472B6",
+    aliases: ["zai-org/glm-4-32b-0414", "THUDM/GLM-4-32B-0414"] },
+  { id: "falcon-h1-34b-instruct", name: "Falcon-H1-34B-Instruct", vendor: "TII", param_class: "middleweight", params: "34B", color: "#FACC15",
+    aliases: ["tiiuae/falcon-h1-34b-instruct"] },
+  { id: "gemma-3-27b-it", name: "Gemma 3 27B IT", vendor: "Google", param_class: "middleweight", params: "27B", color: "#FF9D5C",
+    aliases: ["google/gemma-3-27b-it"] },
+  { id: "gpt-oss-20b", name: "gpt-oss-20b", vendor: "OpenAI", param_class: "middleweight", params: "21B (3.6B active)", color: "#FF5C7C",
+    aliases: ["openai/gpt-oss-20b"] },
+
+  // Lightweight
+  { id: "qwen3-8b", name: "Qwen3-8B", vendor: "Qwen", param_class: "lightweight", params: "8B", color: "#C084FC",
+    aliases: ["Qwen/Qwen3-8B"] },
+  { id: "ministral-3-8b-instruct", name: "Ministral 3 8B Instruct", vendor: "Mistral AI", param_class: "lightweight", params: "8B", color: "#38BDF8",
+    aliases: ["mistralai/ministral-3-8b-instruct-2512"] },
+  { id: "granite-4.0-h-tiny", name: "Granite 4.0 H Tiny", vendor: "IBM", param_class: "lightweight", params: "7B (1B active)", color: "#2DD4BF",
+    aliases: ["ibm-granite/granite-4.0-h-tiny"] },
+  { id: "olmo-3-7b-instruct", name: "OLMo 3 7B Instruct", vendor: "Ai2", param_class: "lightweight", params: "7B", color: "#FB923C",
+    aliases: ["allenai/olmo-3-7b-instruct"] },
+  { id: "llama-3.1-8b-instruct", name: "Llama 3.1 8B Instruct", vendor: "Meta", param_class: "lightweight", params: "8B", color: "#E879F9",
+    aliases: ["meta-llama/llama-3.1-8b-instruct", "meta-llama/Meta-Llama-3.1-8B-Instruct"] },
+
+  // Commercial — colors kept from the dashboard's original grok/gemini/claude/gpt palette
+  { id: "claude-haiku-4-5", name: "Claude Haiku 4.5", vendor: "Anthropic", param_class: "commercial", params: null, color: "#00D89F",
+    aliases: ["claude-haiku-4-5", "anthropic/claude-haiku-4-5"] },
+  { id: "gemini-3-flash-preview", name: "Gemini 3 Flash (preview)", vendor: "Google", param_class: "commercial", params: null, color: "#FF9D5C",
+    aliases: ["gemini-3-flash-preview", "google/gemini-3-flash-preview"] },
+  { id: "gpt-5-mini", name: "GPT-5 mini", vendor: "OpenAI", param_class: "commercial", params: null, color: "#FF5C7C",
+    aliases: ["gpt-5-mini", "openai/gpt-5-mini"] },
+  { id: "grok-4.1-fast-reasoning", name: "Grok 4.1 Fast (reasoning)", vendor: "xAI", param_class: "commercial", params: null, color: "#5B9FFF",
+    aliases: ["grok-4.1-fast-reasoning", "x-ai/grok-4.1-fast-reasoning"] },
+];
+
+// Colors for models outside the catalog
+const PALETTE = ["#5B9FFF", "#FF9D5C", "#00D89F", "#FF5C7C", "#A78BFA", "#FACC15", "#38BDF8", "#F472B6", "#2DD4BF", "#FB923C"];
+
+// Case- and whitespace-insensitive key for comparing model names
+function normalizeName(name) {
+  return String(name || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// "Qwen/Qwen3-8B" → "qwen3-8b"
+function slugOf(name) {
+  const base = String(name || "").trim().split("/").pop();
+  return base.toLowerCase().replace(/[^a-z0-9.]+/g, "-").replace(/^-+|-+$/g, "") || "unknown";
+}
+
+function hashColor(id) {
+  let h = 0;
+  for (const ch of id) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return PALETTE[h % PALETTE.length];
+}
+
+const byAlias = new Map();
+for (const rec of MODEL_CATALOG) {
+  for (const alias of [rec.id, rec.name, ...rec.aliases]) {
+    byAlias.set(normalizeName(alias), rec);
+    // Also match the bare name without its "org/" prefix
+    byAlias.set(normalizeName(alias.split("/").pop()), rec);
+  }
+}
+
+// Any name, id or alias → model record. Unknown names get a derived record.
+function resolveModel(name) {
+  const known = byAlias.get(normalizeName(name)) || byAlias.get(normalizeName(String(name || "").split("/").pop()));
+  if (known) return { ...known, known: true };
+  const s = String(name || "").trim();
+  const id = slugOf(s);
+  return {
+    id,
+    name: s.split("/").pop() || s,
+    vendor: s.includes("/") ? s.split("/")[0] : null,
+    param_class: null,
+    params: null,
+    color: hashColor(id),
+    aliases: [s],
+    known: false,
+  };
+}
+
+// Compact metadata for payloads that list model names
+function modelMeta(names) {
+  return Object.fromEntries(names.map(n => {
+    const m = resolveModel(n);
+    return [n, { id: m.id, name: m.name, vendor: m.vendor, color: m.color }];
+  }));
+}
+
+module.exports = { MODEL_CATALOG, resolveModel, modelMeta, normalizeName };
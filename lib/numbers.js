@@ -0,0 +1,9 @@
+// ─── Number helpers ───────────────────────────────────────────────────────────
+// Rounding shared by the lib/ modules that build API payloads.
+
+// v to dp decimals; null for anything that isn't a finite number
+function round(v, dp) {
+  return Number.isFinite(v) ? +v.toFixed(dp) : null;
+}
+
+module.exports = { round };
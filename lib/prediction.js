@@ -0,0 +1,99 @@
+// ─── Market prediction ────────────────────────────────────────────────────────
+//
+//  Evals for every entry → perModel → beliefs → ranking, plus the winner
+//  lookup for settled markets. The server routes and the CLI both go through
+//  here so they report the same numbers.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { computeBeliefs, pickLeader } = require("./belief-models");
+const { pickWinnerFromChart } = require("./market-chart");
+const { createLogger } = require("./logger");
+
+const log = createLogger("evals");
+
+// Shapes raw upstream eval payloads ({ modelIdx, ok, json }) into perModel.
+function buildPerModel(evalResults, entryMap) {
+  const perModel = {};
+  let evalCount = 0;
+
+  for (const r of evalResults) {
+    const modelName = entryMap[String(r.modelIdx)] || `Entry #${r.modelIdx}`;
+    const evals = Array.isArray(r?.json?.evals) ? r.json.evals : [];
+    evalCount = Math.max(evalCount, evals.length);
+
+    const aggregates = evals.map((e) =>
+      typeof e?.aggregate === "number" && Number.isFinite(e.aggregate) ? e.aggregate : 0
+    );
+    const avgAggregate = aggregates.length > 0
+      ? aggregates.reduce((a, b) => a + b, 0) / aggregates.length
+      : 0;
+
+    perModel[modelName] = {
+      modelIdx: r.modelIdx,
+      avgAggregate,
+      perEvalAggregates: aggregates,
+      evalsRaw: evals,
+      upstream_ok: !!r.ok,
+    };
+  }
+
+  return { perModel, evalCount };
+}
+
+function createPredictor({ client }) {
+  async function resolveWinnerFromChart(marketId, entryMap, confirmedWinner, winnerSource = "confirmed") {
+    // For closed markets, always use the confirmed winner from Delphi UI
+    // (or the one the registry resolved from upstream metadata).
+    // The chart top price is unreliable for closed markets — the final
+    // settlement price doesn't always reflect the actual winner index.
+    if (confirmedWinner) {
+      return { actualWinner: confirmedWinner, source: winnerSource };
+    }
+    // No confirmed winner — try chart as last resort (live/unknown markets)
+    const r = await client.chart(marketId);
+    if (r.ok && r.json) {
+      const w = pickWinnerFromChart(r.json, entryMap);
+      if (w) return { actualWinner: w, source: "chart_top_price" };
+    }
+    return { actualWinner: "TBD", source: "unavailable" };
+  }
+
+  async function computeMarketPrediction(marketId, entryMap, beliefOpts = {}) {
+    const idxKeys = Object.keys(entryMap);
+    if (idxKeys.length === 0) {
+      return { perModel: {}, beliefs: {}, predictedWinner: null, topBelief: 0, evalCount: 0, rankings: [], stale: false };
+    }
+
+    const allEvals = await Promise.all(
+      idxKeys.map((idxStr) =>
+        client.evals(marketId, idxStr).then((r) => {
+          if (!r.ok || !r.json) {
+            log.warn("Evals request failed", { market_id: marketId, model_idx: idxStr, status: r.status, error: r.error });
+          }
+          return { modelIdx: idxStr, ok: r.ok, json: r.json, stale: !!r.stale };
+        })
+      )
+    );
+
+    const { perModel, evalCount } = buildPerModel(allEvals, entryMap);
+    const beliefs = computeBeliefs(perModel, beliefOpts);
+    const { predictedWinner, topBelief } = pickLeader(beliefs);
+
+    const rankings = Object.entries(perModel)
+      .map(([model, obj]) => ({
+        model,
+        modelIdx: obj.modelIdx,
+        avgScore: obj.avgAggregate,
+        belief: beliefs[model] || 0,
+        perEvalAggregates: obj.perEvalAggregates,
+      }))
+      .sort((a, b) => b.belief - a.belief || b.avgScore - a.avgScore);
+
+    const stale = allEvals.some((r) => r.stale);
+    return { perModel, beliefs, predictedWinner, topBelief, evalCount, rankings, stale };
+  }
+
+  return { computeMarketPrediction, resolveWinnerFromChart };
+}
+
+module.exports = { buildPerModel, createPredictor };
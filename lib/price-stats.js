@@ -0,0 +1,151 @@
+// ─── Price-series analytics ───────────────────────────────────────────────────
+//
+//  Per-entry statistics over a market's chart prices (chartSeries output),
+//  within a window that ends at the latest point:
+//
+//    volatility         realized, in pct points per √hour:
+//                       sqrt(Σ Δprice² / Σ Δt)  — fine with uneven spacing
+//    momentum           least-squares slope of price, pct points per hour
+//    change             last − first price in the window, pct points
+//    max_drawdown       largest peak-to-trough drop, pct points, with both times
+//    largest_move       biggest single point-to-point move (signed) and when
+//    favourite          time spent with the highest price, ms and share
+//
+//  Each interval between two points belongs to whoever led at its start; a tie
+//  for the lead counts for no one. Prices are fractions, times ms epochs.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { round } = require("./numbers");
+
+const WINDOW_RE = /^(\d{1,4})([mhdw])$/;
+const UNIT_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const HOUR_MS = 3600000;
+
+// ?window= → { windowMs, label } or { error }. "all" (default), "<n>m|h|d|w",
+// or bare minutes like the timeline route's window.
+function windowFromQuery(query = {}) {
+  const raw = query.window === undefined || query.window === "" ? "all" : String(query.window).toLowerCase();
+  if (raw === "all") return { windowMs: Infinity, label: "all" };
+  const m = WINDOW_RE.exec(/^\d+$/.test(raw) ? `${raw}m` : raw);
+  const windowMs = m ? Number(m[1]) * UNIT_MS[m[2]] : 0;
+  if (!(windowMs > 0)) {
+    return { error: { error: "invalid_window", field: "window", value: String(query.window), allowed: ["all", "<n>m", "<n>h", "<n>d", "<n>w"] } };
+  }
+  return { windowMs, label: `${m[1]}${m[2]}` };
+}
+
+const pts = v => Math.round(v * 1000) / 10;   // fraction → pct points, 0.1 precision
+
+// The entry with the strictly highest price, or null on a tie / no prices
+function leaderOf(prices) {
+  let best = null;
+  let bestPrice = -Infinity;
+  let tied = false;
+  for (const [model, price] of Object.entries(prices || {})) {
+    if (typeof price !== "number") continue;
+    if (price > bestPrice) { best = model; bestPrice = price; tied = false; }
+    else if (price === bestPrice) tied = true;
+  }
+  return tied ? null : best;
+}
+
+// [{ ts, price }] for one model, oldest first → its stats (null-valued if < 2 points)
+function entryStats(points) {
+  const out = {
+    points: points.length,
+    first_price: points[0]?.price ?? null,
+    last_price: points[points.length - 1]?.price ?? null,
+    change: null,
+    volatility: null,
+    momentum: null,
+    max_drawdown: null,
+    largest_move: null,
+  };
+  if (points.length < 2) return out;
+
+  let sumSq = 0;
+  let sumHours = 0;
+  let largest = null;
+  let peak = points[0];
+  let drawdown = { drop: 0, peak_ts: null, trough_ts: null };
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const cur = points[i];
+    const move = cur.price - prev.price;
+    sumSq += (move * 100) ** 2;
+    sumHours += (cur.ts - prev.ts) / HOUR_MS;
+    if (!largest || Math.abs(move) > Math.abs(largest.move)) largest = { move, ts: cur.ts, from: prev.price, to: cur.price };
+    if (cur.price > peak.price) peak = cur;
+    if (peak.price - cur.price > drawdown.drop) drawdown = { drop: peak.price - cur.price, peak_ts: peak.ts, trough_ts: cur.ts };
+  }
+
+  // Least-squares slope, x in hours from the first point
+  const t0 = points[0].ts;
+  const n = points.length;
+  const meanX = points.reduce((s, p) => s + (p.ts - t0) / HOUR_MS, 0) / n;
+  const meanY = points.reduce((s, p) => s + p.price * 100, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  for (const p of points) {
+    const dx = (p.ts - t0) / HOUR_MS - meanX;
+    cov += dx * (p.price * 100 - meanY);
+    varX += dx * dx;
+  }
+
+  out.change = pts(out.last_price - out.first_price);
+  out.volatility = sumHours > 0 ? round(Math.sqrt(sumSq / sumHours), 2) : null;
+  out.momentum = varX > 0 ? round(cov / varX, 2) : null;
+  out.max_drawdown = { drop: pts(drawdown.drop), peak_ts: drawdown.peak_ts, trough_ts: drawdown.trough_ts };
+  out.largest_move = { change: pts(largest.move), ts: largest.ts, from: largest.from, to: largest.to };
+  return out;
+}
+
+/**
+ * series    [{ ts, prices: { model: price } }], oldest first
+ * models    entry names to report (entries with no prices still get a row)
+ * windowMs  trailing window ending at the last point (Infinity = everything)
+ */
+function priceStats(series, models, windowMs = Infinity) {
+  const end = series.length ? series[series.length - 1].ts : null;
+  const start = end === null ? null : Number.isFinite(windowMs) ? end - windowMs : series[0].ts;
+  const inWindow = end === null ? [] : series.filter(p => p.ts >= start);
+  const spanMs = inWindow.length > 1 ? inWindow[inWindow.length - 1].ts - inWindow[0].ts : 0;
+
+  // Favourite time: each interval goes to the leader at its start
+  const favouriteMs = {};
+  let leadChanges = 0;
+  let prevLeader;
+  for (let i = 0; i < inWindow.length; i++) {
+    const leader = leaderOf(inWindow[i].prices);
+    if (i > 0 && leader && prevLeader && leader !== prevLeader) leadChanges++;
+    if (leader) prevLeader = leader;
+    if (i < inWindow.length - 1 && leader) {
+      favouriteMs[leader] = (favouriteMs[leader] || 0) + (inWindow[i + 1].ts - inWindow[i].ts);
+    }
+  }
+
+  const names = [...new Set([...models, ...inWindow.flatMap(p => Object.keys(p.prices || {}))])];
+  const entries = names.map(model => {
+    const points = inWindow
+      .filter(p => typeof p.prices?.[model] === "number")
+      .map(p => ({ ts: p.ts, price: p.prices[model] }));
+    return {
+      model,
+      ...entryStats(points),
+      favourite_ms: favouriteMs[model] || 0,
+      favourite_share: spanMs > 0 ? round((favouriteMs[model] || 0) / spanMs, 4) : null,
+    };
+  });
+
+  return {
+    from: inWindow[0]?.ts ?? null,
+    to: end,
+    span_ms: spanMs,
+    points: inWindow.length,
+    favourite: inWindow.length ? leaderOf(inWindow[inWindow.length - 1].prices) : null,
+    favourite_changes: leadChanges,
+    entries,
+  };
+}
+
+module.exports = { windowFromQuery, priceStats, leaderOf };
@@ -0,0 +1,56 @@
+// ─── Per-IP rate limiting ─────────────────────────────────────────────────────
+//
+//  Fixed-window counters kept in memory, one per client IP and limiter.
+//  Over the limit → 429 { error: "rate_limited", limit, window_s, retry_after }
+//  with a Retry-After header. Every response carries RateLimit-Limit,
+//  RateLimit-Remaining and RateLimit-Reset (seconds).
+//
+//  In-memory means per instance: on serverless each instance counts on its
+//  own, so treat the limits as a floor against abuse rather than a quota.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { createLogger } = require("./logger");
+
+const MAX_KEYS = 10000;
+
+const log = createLogger("rate-limit");
+
+/**
+ * name      tag for logs / the 429 body
+ * max       requests per window (0 disables the limiter)
+ * windowMs  window length
+ */
+function createRateLimiter({ name, max, windowMs = 60000 }) {
+  const hits = new Map();   // ip → { count, reset }
+
+  // Drop expired windows; if still too many keys, drop the oldest
+  function sweep(now) {
+    for (const [key, w] of hits) if (w.reset <= now) hits.delete(key);
+    while (hits.size > MAX_KEYS) hits.delete(hits.keys().next().value);
+  }
+
+  return function rateLimit(req, res, next) {
+    if (!max) return next();
+    const now = Date.now();
+    const key = req.ip || req.socket?.remoteAddress || "unknown";
+    let w = hits.get(key);
+    if (!w || w.reset <= now) {
+      if (hits.size >= MAX_KEYS) sweep(now);
+      w = { count: 0, reset: now + windowMs };
+      hits.set(key, w);
+    }
+    w.count++;
+
+    const resetS = Math.ceil((w.reset - now) / 1000);
+    res.setHeader("RateLimit-Limit", String(max));
+    res.setHeader("RateLimit-Remaining", String(Math.max(0, max - w.count)));
+    res.setHeader("RateLimit-Reset", String(resetS));
+    if (w.count <= max) return next();
+
+    if (w.count === max + 1) log.warn("Limit exceeded", { limiter: name, ip: key, limit: max, window_s: windowMs / 1000 });
+    res.setHeader("Retry-After", String(resetS));
+    res.status(429).json({ error: "rate_limited", limiter: name, limit: max, window_s: windowMs / 1000, retry_after: resetS });
+  };
+}
+
+module.exports = { createRateLimiter };
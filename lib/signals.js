@@ -0,0 +1,39 @@
+// ─── Gap signals ──────────────────────────────────────────────────────────────
+//
+//  The gap analysis shared by alerts, summaries and the dashboard, which gets
+//  GAP_THRESHOLD from /api/human-belief (gap_threshold):
+//
+//      gap = market price − belief        (percentage points)
+//      |gap| < 5   → ALIGNED
+//      gap ≥ +5    → OVERPRICED
+//      gap ≤ −5    → UNDERPRICED
+//
+//  Beliefs are percentages (computeBeliefs), prices are fractions (chart).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const GAP_THRESHOLD = 5;
+const SIGNALS = ["UNDERPRICED", "ALIGNED", "OVERPRICED"];
+
+// Rounded to 0.1 pts like the dashboard, so both agree on borderline gaps
+function gapOf(beliefPct, price) {
+  return Math.round((price * 100 - beliefPct) * 10) / 10;
+}
+
+function classifyGap(gap, threshold = GAP_THRESHOLD) {
+  if (Math.abs(gap) < threshold) return "ALIGNED";
+  return gap > 0 ? "OVERPRICED" : "UNDERPRICED";
+}
+
+// model → { belief, price, gap, signal } for every model that has a price
+function computeSignals(beliefs, prices, threshold = GAP_THRESHOLD) {
+  const out = {};
+  for (const [model, belief] of Object.entries(beliefs || {})) {
+    const price = prices?.[model];
+    if (typeof price !== "number" || !Number.isFinite(price)) continue;
+    const gap = gapOf(belief, price);
+    out[model] = { belief, price, gap, signal: classifyGap(gap, threshold) };
+  }
+  return out;
+}
+
+module.exports = { GAP_THRESHOLD, SIGNALS, gapOf, classifyGap, computeSignals };
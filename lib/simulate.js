@@ -0,0 +1,200 @@
+// ─── Next-eval simulator ──────────────────────────────────────────────────────
+//
+//  "What if the next eval came out like this?" A hypothetical eval is appended
+//  to each model's history and belief, ranking and gap signals are recomputed
+//  against current prices. Each model's score in that eval comes from:
+//
+//    scores=<idx>:<score>,…   an explicit score (0–100, like upstream aggregates)
+//    best=<idx>,…             its best score so far
+//    worst=<idx>,…            its worst score so far
+//    others=mean|last|skip    everyone else: their own average (default, leaves
+//                             an average-based belief unchanged), a repeat of
+//                             their last eval, or no eval at all
+//
+//  score_to_lead is, for every model, the lowest score in the next eval that
+//  puts it strictly ahead with everyone else's scenario score held fixed, found
+//  by bisection (belief only ever rises with a model's own score). null means
+//  even 100 is not enough.
+//
+//  Models are referenced by entry index (model_idx) as in the upstream API.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { computeBeliefs } = require("./belief-models");
+const { computeSignals } = require("./signals");
+const { round } = require("./numbers");
+
+const SCORE_MIN = 0;
+const SCORE_MAX = 100;
+const OTHERS = ["mean", "last", "skip"];
+const LEAD_PRECISION = 0.01;
+
+function invalid(field, value, extra = {}) {
+  return { error: { error: "invalid_scenario", field, value: String(value), ...extra } };
+}
+
+function parseIdxList(raw, field, entryMap) {
+  if (raw === undefined || raw === "") return { list: [] };
+  const list = String(raw).split(",").map(s => s.trim());
+  const bad = list.find(idx => !(idx in entryMap));
+  if (bad !== undefined) return invalid(field, bad, { expected: "model_idx", allowed: Object.keys(entryMap) });
+  return { list };
+}
+
+// Reads the scenario from an Express query object against a market's entryMap
+// (idx → name). Returns { scenario } or { error } for a 400 response.
+function scenarioFromQuery(query = {}, entryMap = {}) {
+  const scores = {};
+  if (query.scores !== undefined && query.scores !== "") {
+    for (const part of String(query.scores).split(",")) {
+      const [idx, value, ...rest] = part.split(":").map(s => s.trim());
+      if (!(idx in entryMap) || rest.length) {
+        return invalid("scores", part, { expected: "<model_idx>:<score>", allowed: Object.keys(entryMap) });
+      }
+      const score = Number(value);
+      if (value === undefined || value === "" || !Number.isFinite(score) || score < SCORE_MIN || score > SCORE_MAX) {
+        return invalid("scores", part, { expected: `score ${SCORE_MIN}–${SCORE_MAX}` });
+      }
+      scores[idx] = score;
+    }
+  }
+
+  const best = parseIdxList(query.best, "best", entryMap);
+  if (best.error) return best;
+  const worst = parseIdxList(query.worst, "worst", entryMap);
+  if (worst.error) return worst;
+
+  const seen = new Set(Object.keys(scores));
+  for (const idx of [...best.list, ...worst.list]) {
+    if (seen.has(idx)) return invalid("model_idx", idx, { reason: "model given more than one score" });
+    seen.add(idx);
+  }
+
+  const others = query.others === undefined || query.others === "" ? "mean" : String(query.others);
+  if (!OTHERS.includes(others)) return invalid("others", others, { allowed: OTHERS });
+
+  const benchmark = query.benchmark === undefined || query.benchmark === "" ? null : String(query.benchmark);
+  if (benchmark !== null && benchmark.length > 64) return invalid("benchmark", benchmark, { expected: "at most 64 characters" });
+
+  return { scenario: { scores, best: best.list, worst: worst.list, others, benchmark } };
+}
+
+// model name → { score, source } for the hypothetical eval; score null = no eval
+function resolveScenario(perModel, entryMap, scenario) {
+  const out = {};
+  for (const [idx, model] of Object.entries(entryMap)) {
+    const history = perModel[model]?.perEvalAggregates || [];
+    let score = null;
+    let source;
+    if (idx in scenario.scores) {
+      score = scenario.scores[idx];
+      source = "input";
+    } else if (scenario.best.includes(idx)) {
+      score = history.length ? Math.max(...history) : null;
+      source = "best";
+    } else if (scenario.worst.includes(idx)) {
+      score = history.length ? Math.min(...history) : null;
+      source = "worst";
+    } else {
+      source = scenario.others;
+      if (source === "last") score = history.length ? history[history.length - 1] : null;
+      else if (source === "mean") score = history.length ? perModel[model].avgAggregate : null;
+    }
+    out[model] = { score, source };
+  }
+  return out;
+}
+
+// perModel with one more eval for every model that has a score
+function appendEval(perModel, scores, benchmark) {
+  const out = {};
+  for (const [model, obj] of Object.entries(perModel)) {
+    const score = scores[model];
+    if (typeof score !== "number") { out[model] = obj; continue; }
+    const perEvalAggregates = [...(obj.perEvalAggregates || []), score];
+    out[model] = {
+      ...obj,
+      perEvalAggregates,
+      evalsRaw: [...(obj.evalsRaw || []), { aggregate: score, ...(benchmark ? { benchmark } : {}), simulated: true }],
+      avgAggregate: perEvalAggregates.reduce((a, b) => a + b, 0) / perEvalAggregates.length,
+    };
+  }
+  return out;
+}
+
+function leads(beliefs, model) {
+  const mine = beliefs[model] ?? 0;
+  return Object.entries(beliefs).every(([m, b]) => m === model || mine > b);
+}
+
+// Lowest next-eval score that puts `model` strictly in the lead, or null
+function scoreToLead(perModel, scores, model, beliefOpts, benchmark) {
+  const leadsWith = score =>
+    leads(computeBeliefs(appendEval(perModel, { ...scores, [model]: score }, benchmark), beliefOpts), model);
+  if (!leadsWith(SCORE_MAX)) return null;
+  if (leadsWith(SCORE_MIN)) return SCORE_MIN;
+  let lo = SCORE_MIN;
+  let hi = SCORE_MAX;
+  while (hi - lo > LEAD_PRECISION / 2) {
+    const mid = (lo + hi) / 2;
+    if (leadsWith(mid)) hi = mid; else lo = mid;
+  }
+  return Math.min(SCORE_MAX, Math.ceil(hi / LEAD_PRECISION) * LEAD_PRECISION);
+}
+
+function leaderOf(beliefs) {
+  const [top] = Object.entries(beliefs).sort((a, b) => b[1] - a[1]);
+  return top && leads(beliefs, top[0]) ? top[0] : null;
+}
+
+/**
+ * perModel    from computeMarketPrediction
+ * entryMap    idx → model name
+ * scenario    from scenarioFromQuery
+ * beliefOpts  { model, temperature }
+ * prices      model → latest price (0–1), or {} when there is no chart yet
+ */
+function simulateNextEval(perModel, entryMap, scenario, beliefOpts, prices = {}) {
+  const resolved = resolveScenario(perModel, entryMap, scenario);
+  const scores = Object.fromEntries(Object.entries(resolved).map(([m, r]) => [m, r.score]));
+  const simPerModel = appendEval(perModel, scores, scenario.benchmark);
+
+  const before = computeBeliefs(perModel, beliefOpts);
+  const after = computeBeliefs(simPerModel, beliefOpts);
+  const signalsBefore = computeSignals(before, prices);
+  const signalsAfter = computeSignals(after, prices);
+
+  const modelIdx = Object.fromEntries(Object.entries(entryMap).map(([idx, m]) => [m, idx]));
+  const rankings = Object.keys(perModel)
+    .map(model => ({
+      model,
+      model_idx: modelIdx[model] ?? perModel[model].modelIdx,
+      score: round(resolved[model]?.score, 2),
+      score_source: resolved[model]?.source ?? null,
+      avg_score: round(simPerModel[model].avgAggregate, 2),
+      belief: round(after[model] ?? 0, 2),
+      belief_change: round((after[model] ?? 0) - (before[model] ?? 0), 2),
+      score_to_lead: round(scoreToLead(perModel, scores, model, beliefOpts, scenario.benchmark), 2),
+      signal: signalsAfter[model] || null,
+      signal_before: signalsBefore[model]?.signal ?? null,
+    }))
+    .sort((a, b) => b.belief - a.belief || (b.avg_score ?? 0) - (a.avg_score ?? 0));
+
+  const leaderBefore = leaderOf(before);
+  const leaderAfter = leaderOf(after);
+  return {
+    scenario: {
+      others: scenario.others,
+      benchmark: scenario.benchmark,
+      scores: Object.fromEntries(Object.entries(resolved).map(([m, r]) => [m, { score: round(r.score, 2), source: r.source }])),
+    },
+    score_range: [SCORE_MIN, SCORE_MAX],
+    current: { leader: leaderBefore, beliefs: before },
+    simulated: { leader: leaderAfter, leader_changed: leaderBefore !== leaderAfter, beliefs: after },
+    rankings,
+    signal_flips: rankings
+      .filter(r => r.signal && r.signal_before && r.signal.signal !== r.signal_before)
+      .map(r => ({ model: r.model, from: r.signal_before, to: r.signal.signal })),
+  };
+}
+
+module.exports = { scenarioFromQuery, simulateNextEval, scoreToLead, SCORE_MIN, SCORE_MAX };
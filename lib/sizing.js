@@ -0,0 +1,145 @@
+// ─── Position sizing ──────────────────────────────────────────────────────────
+//
+//  Turns the belief-vs-price gap into a suggested stake per entry. Each entry
+//  is a share that pays 1 if that model wins, so with belief q (as a
+//  probability) and price p:
+//
+//      edge  = q − p                      (shown in percentage points)
+//      EV    = q / p − 1                  expected profit per 1 staked
+//      Kelly = share of bankroll that maximises expected log growth
+//
+//  Entries are mutually exclusive, so Kelly is solved for all of them at once
+//  rather than per entry (kellyFractions). Only buys are sized: an OVERPRICED
+//  entry gets no stake. The stake is bankroll × kelly_fraction × full Kelly,
+//  capped at max_stake_pct of the bankroll per entry.
+//
+//  Beliefs are percentages (computeBeliefs), prices are fractions (chart).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { GAP_THRESHOLD, gapOf, classifyGap } = require("./signals");
+const { round } = require("./numbers");
+
+const DEFAULT_SIZING = {
+  bankroll: 1000,
+  kellyFraction: 0.25,         // quarter Kelly
+  threshold: GAP_THRESHOLD,    // edge (pct points) needed before staking
+  maxStakePct: 100,            // cap per entry, % of bankroll
+};
+
+// Reads sizing params from an Express query object.
+// Returns { sizing } or { error } for a 400 response.
+function sizingFromQuery(query = {}) {
+  const sizing = { ...DEFAULT_SIZING };
+  const numbers = [
+    ["bankroll", "bankroll", v => v > 0 && v <= 1e9],
+    ["kelly_fraction", "kellyFraction", v => v > 0 && v <= 1],
+    ["threshold", "threshold", v => v >= 0 && v <= 100],
+    ["max_stake_pct", "maxStakePct", v => v > 0 && v <= 100],
+  ];
+  for (const [param, key, valid] of numbers) {
+    if (query[param] === undefined || query[param] === "") continue;
+    const v = Number(query[param]);
+    if (!Number.isFinite(v) || !valid(v)) {
+      return { error: { error: "invalid_sizing", field: param, value: String(query[param]) } };
+    }
+    sizing[key] = v;
+  }
+  return { sizing };
+}
+
+// Full-Kelly bankroll fractions for backing several mutually exclusive
+// outcomes at once. Outcomes are taken in order of q/p while that beats the
+// reserve rate R = (1 − Σq) / (1 − Σp) of the set chosen so far; each chosen
+// outcome then gets f = q − p·R. For a single outcome this is (q − p) / (1 − p).
+// candidates: [{ key, q, p }] → Map key → f
+function kellyFractions(candidates) {
+  const sorted = candidates
+    .filter(c => c.p > 0 && c.p < 1 && c.q > c.p)
+    .sort((a, b) => b.q / b.p - a.q / a.p);
+  const chosen = [];
+  let sumQ = 0;
+  let sumP = 0;
+  let reserve = 1;
+  for (const c of sorted) {
+    if (c.q / c.p <= reserve || sumP + c.p >= 1) break;
+    chosen.push(c);
+    sumQ += c.q;
+    sumP += c.p;
+    reserve = (1 - sumQ) / (1 - sumP);
+  }
+  return new Map(chosen.map(c => [c.key, Math.max(0, c.q - c.p * reserve)]));
+}
+
+// Expected log growth of the bankroll for sized models (kelly = bankroll fraction)
+function expectedLogGrowth(models) {
+  const staked = models.reduce((s, m) => s + m.kelly, 0);
+  let growth = 0;
+  for (const m of models) {
+    const wealth = 1 - staked + (m.kelly > 0 ? m.kelly / m.price : 0);
+    if (m.belief > 0) growth += (m.belief / 100) * Math.log(wealth);
+  }
+  return growth;
+}
+
+/**
+ * beliefs  model → belief %     (every model in the market)
+ * prices   model → price 0–1    (latest chart point)
+ * Returns { models: [...], summary } with models sorted by stake, then edge.
+ */
+function computeSizing(beliefs, prices, opts = {}) {
+  const { bankroll, kellyFraction, threshold, maxStakePct } = { ...DEFAULT_SIZING, ...opts };
+
+  const rows = Object.entries(beliefs || {}).map(([model, belief]) => {
+    const price = prices?.[model];
+    return { model, belief, q: belief / 100, p: typeof price === "number" && Number.isFinite(price) ? price : null };
+  });
+
+  const full = kellyFractions(
+    // Same rounded gap as the UNDERPRICED signal, so the two always agree
+    rows.filter(r => r.p !== null && -gapOf(r.belief, r.p) >= threshold).map(r => ({ key: r.model, q: r.q, p: r.p }))
+  );
+  const cap = maxStakePct / 100;
+
+  const models = rows.map(r => {
+    if (r.p === null) {
+      return { model: r.model, belief: r.belief, price: null, gap: null, signal: null, edge: null,
+        ev: null, kelly_full: 0, kelly: 0, stake: 0, expected_profit: 0 };
+    }
+    const gap = gapOf(r.belief, r.p);
+    const kellyFull = full.get(r.model) || 0;
+    const kelly = Math.min(kellyFull * kellyFraction, cap);
+    const ev = r.p > 0 ? r.q / r.p - 1 : null;
+    const stake = round(bankroll * kelly, 2);
+    return {
+      model: r.model,
+      belief: r.belief,
+      price: r.p,
+      gap,
+      signal: classifyGap(gap, threshold),
+      edge: round((r.q - r.p) * 100, 1),
+      ev: round(ev, 4),
+      kelly_full: round(kellyFull, 4),
+      kelly: round(kelly, 4),
+      stake,
+      expected_profit: round(ev === null ? 0 : stake * ev, 2),
+    };
+  }).sort((a, b) => b.stake - a.stake || (b.edge ?? -Infinity) - (a.edge ?? -Infinity));
+
+  const priced = rows.filter(r => r.p !== null);
+  const allPriced = priced.length === rows.length;
+  const totalStake = models.reduce((s, m) => s + m.stake, 0);
+  return {
+    models,
+    summary: {
+      total_stake: round(totalStake, 2),
+      stake_pct: round((totalStake / bankroll) * 100, 2),
+      expected_profit: round(models.reduce((s, m) => s + m.expected_profit, 0), 2),
+      expected_log_growth: allPriced && rows.length ? round(expectedLogGrowth(models), 5) : null,
+      // Sum of prices − 1: what backing every entry costs over the 1 it pays back
+      overround: priced.length ? round(priced.reduce((s, r) => s + r.p, 0) - 1, 4) : null,
+      entries_staked: models.filter(m => m.stake > 0).length,
+    },
+  };
+}
+
+module.exports = { DEFAULT_SIZING, sizingFromQuery, kellyFractions, computeSizing };
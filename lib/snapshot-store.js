@@ -0,0 +1,128 @@
+// ─── Snapshot store ───────────────────────────────────────────────────────────
+//
+//  Append-only NDJSON files, one per market:  <dir>/market-<id>.ndjson
+//
+//  Record types (one JSON object per line):
+//    { type: "evals",  ts, market_id, status, model_names, evals: { [idx]: [...] } }
+//        written whenever any model's eval count changes
+//    { type: "prices", ts, market_id, data_points: [...] }
+//        chart data_points newer than the last stored point
+//
+//  `ts` is the ms epoch at which the poller recorded the line.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs");
+const path = require("path");
+
+function createSnapshotStore({ dir }) {
+  // marketId → { evalKey, lastPointTs } so the poller can skip unchanged data
+  const tails = {};
+
+  function fileFor(marketId) {
+    return path.join(dir, `market-${String(marketId).replace(/[^\w-]/g, "_")}.ndjson`);
+  }
+
+  async function readAll(marketId) {
+    let text;
+    try {
+      text = await fs.promises.readFile(fileFor(marketId), "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+    const records = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try { records.push(JSON.parse(line)); } catch { /* torn write — skip line */ }
+    }
+    return records;
+  }
+
+  async function tailFor(marketId) {
+    const key = String(marketId);
+    if (tails[key]) return tails[key];
+    const tail = { evalKey: null, lastPointTs: 0, count: 0 };
+    for (const rec of await readAll(key)) {
+      tail.count++;
+      if (rec.type === "evals") tail.evalKey = evalKeyOf(rec.evals);
+      if (rec.type === "prices") {
+        for (const p of rec.data_points || []) tail.lastPointTs = Math.max(tail.lastPointTs, Number(p.timestamp) || 0);
+      }
+    }
+    tails[key] = tail;
+    return tail;
+  }
+
+  async function append(marketId, record) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const line = JSON.stringify({ ...record, market_id: String(marketId) }) + "\n";
+    await fs.promises.appendFile(fileFor(marketId), line, "utf8");
+  }
+
+  // Writes an evals record unless the eval counts are unchanged since the last one.
+  async function recordEvals(marketId, { status, modelNames, evals }) {
+    const tail = await tailFor(marketId);
+    const key = evalKeyOf(evals);
+    if (key === tail.evalKey) return false;
+    await append(marketId, { type: "evals", ts: Date.now(), status, model_names: modelNames, evals });
+    tail.evalKey = key;
+    tail.count++;
+    return true;
+  }
+
+  // Writes only the chart points newer than anything already stored.
+  async function recordPrices(marketId, dataPoints) {
+    const tail = await tailFor(marketId);
+    const fresh = (dataPoints || []).filter(p => (Number(p?.timestamp) || 0) > tail.lastPointTs);
+    if (fresh.length === 0) return 0;
+    await append(marketId, { type: "prices", ts: Date.now(), data_points: fresh });
+    for (const p of fresh) tail.lastPointTs = Math.max(tail.lastPointTs, Number(p.timestamp) || 0);
+    tail.count++;
+    return fresh.length;
+  }
+
+  async function hasSnapshots(marketId) {
+    return (await tailFor(marketId)).count > 0;
+  }
+
+  // from/to are ms epochs (inclusive). Evals records filter on `ts`,
+  // price points on their own chart timestamp (seconds upstream).
+  async function query(marketId, { from = 0, to = Infinity } = {}) {
+    const evals = [];
+    const points = [];
+    for (const rec of await readAll(marketId)) {
+      if (rec.type === "evals" && rec.ts >= from && rec.ts <= to) evals.push(rec);
+      if (rec.type === "prices") {
+        for (const p of rec.data_points || []) {
+          const ms = (Number(p.timestamp) || 0) * 1000;
+          if (ms >= from && ms <= to) points.push(p);
+        }
+      }
+    }
+    points.sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+    return { evals, data_points: points };
+  }
+
+  return { dir, recordEvals, recordPrices, hasSnapshots, query };
+}
+
+function evalKeyOf(evals) {
+  return Object.keys(evals || {})
+    .sort()
+    .map(idx => `${idx}:${Array.isArray(evals[idx]) ? evals[idx].length : 0}`)
+    .join(",");
+}
+
+// Accepts ms epoch, seconds epoch or an ISO date. Returns ms or NaN.
+function parseTimeParam(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const s = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : NaN;
+}
+
+module.exports = { createSnapshotStore, parseTimeParam };
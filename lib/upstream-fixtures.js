@@ -0,0 +1,90 @@
+// ─── Upstream fixtures (record / replay) ──────────────────────────────────────
+//
+//  Wraps the fetch used by the Delphi client so upstream traffic can be saved
+//  and served back without the network:
+//
+//    DELPHI_RECORD=<dir>   every upstream response is written to <dir>
+//    DELPHI_REPLAY=<dir>   responses are read from <dir>; nothing leaves the box
+//
+//  One file per request path (query included), holding the status and the raw
+//  body text — bad JSON and 5xx responses replay exactly as they were seen.
+//  A path with no fixture replays as 404 `no_fixture`.
+//
+//  scripts/mock-delphi.js serves the same files over HTTP (--fixtures <dir>).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./logger");
+
+const log = createLogger("fixtures");
+
+// "/api/markets/4/evals?modelIdx=0" → "api_markets_4_evals_modelIdx=0.json"
+function fixtureName(requestPath) {
+  const name = String(requestPath).replace(/^\/+/, "").replace(/[^\w.=-]+/g, "_");
+  return `${name || "root"}.json`;
+}
+
+function readFixture(dir, requestPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, fixtureName(requestPath)), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") log.warn("Could not read fixture", { path: requestPath, error: e });
+    return null;
+  }
+}
+
+function writeFixture(dir, requestPath, { status, body }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const record = { path: requestPath, status, recorded_at: new Date().toISOString(), body };
+  fs.writeFileSync(path.join(dir, fixtureName(requestPath)), JSON.stringify(record, null, 2), "utf8");
+}
+
+// Just enough of a fetch Response for the Delphi client
+function fakeResponse(status, body) {
+  return { ok: status >= 200 && status < 300, status, text: async () => body };
+}
+
+function pathOf(url) {
+  const u = new URL(url);
+  return u.pathname + u.search;
+}
+
+/**
+ * mode      "record" | "replay"
+ * dir       fixture directory
+ * fetchImpl the real fetch (record mode only)
+ * Returns a fetch-compatible function.
+ */
+function createFixtureFetch({ mode, dir, fetchImpl }) {
+  if (mode === "replay") {
+    const missing = new Set();
+    return async url => {
+      const requestPath = pathOf(url);
+      const fixture = readFixture(dir, requestPath);
+      if (fixture) return fakeResponse(fixture.status, fixture.body);
+      if (!missing.has(requestPath)) {
+        missing.add(requestPath);
+        log.warn("No fixture", { path: requestPath });
+      }
+      return fakeResponse(404, JSON.stringify({ error: "no_fixture", path: requestPath }));
+    };
+  }
+
+  if (mode === "record") {
+    return async (url, opts) => {
+      const res = await fetchImpl(url, opts);
+      const body = await res.text();
+      try {
+        writeFixture(dir, pathOf(url), { status: res.status, body });
+      } catch (e) {
+        log.warn("Could not record fixture", { path: pathOf(url), error: e });
+      }
+      return fakeResponse(res.status, body);
+    };
+  }
+
+  throw new Error(`Unknown fixture mode: ${mode}`);
+}
+
+module.exports = { createFixtureFetch, fixtureName, readFixture };
@@ -0,0 +1,89 @@
+// ─── Request validation ───────────────────────────────────────────────────────
+//
+//  Route and query parameters that end up in upstream URLs are checked here
+//  before any handler runs, so a bad value is a clear 400 instead of a
+//  surprising upstream request:
+//
+//    market id    digits only                  /api/markets/:marketId/…, ?market_id=
+//    timeframe    auto | all | <n><m|h|d|w>    ?timeframe=
+//    model idx    integer 0–99                 ?model_idx=
+//    model id     printable, ≤ 128 chars       /api/models/:modelId
+//
+//  Errors look like { error: "invalid_market_id", field, value[, allowed] }.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MARKET_ID_RE = /^\d{1,9}$/;
+const TIMEFRAME_RE = /^(auto|all|\d{1,3}[mhdw])$/;
+const MODEL_ID_RE = /^[\x20-\x7E]{1,128}$/;
+const MAX_MODEL_IDX = 99;
+
+const invalid = (error, field, value, extra = {}) => ({ error, field, value: String(value), ...extra });
+
+function checkMarketId(value, field = "market_id") {
+  return MARKET_ID_RE.test(String(value)) ? null : invalid("invalid_market_id", field, value, { expected: "digits" });
+}
+
+// ?market_id= may be a comma list on the export routes
+function checkMarketIdList(value, field = "market_id") {
+  for (const part of String(value).split(",").map(s => s.trim()).filter(Boolean)) {
+    const err = checkMarketId(part, field);
+    if (err) return { ...err, value: String(value) };
+  }
+  return null;
+}
+
+function checkTimeframe(value) {
+  return TIMEFRAME_RE.test(String(value))
+    ? null
+    : invalid("invalid_timeframe", "timeframe", value, { allowed: ["auto", "all", "<n>m", "<n>h", "<n>d", "<n>w"] });
+}
+
+function checkModelIdx(value, field = "model_idx") {
+  const n = Number(value);
+  return /^\d{1,2}$/.test(String(value)) && n <= MAX_MODEL_IDX
+    ? null
+    : invalid("invalid_model_idx", field, value, { min: 0, max: MAX_MODEL_IDX });
+}
+
+function checkModelId(value) {
+  return MODEL_ID_RE.test(String(value)) ? null : invalid("invalid_model_id", "model_id", value);
+}
+
+// Query parameters checked on every /api request when present
+const QUERY_CHECKS = {
+  market_id: checkMarketIdList,
+  timeframe: checkTimeframe,
+  model_idx: checkModelIdx,
+};
+
+function validateQuery(req, res, next) {
+  for (const [field, check] of Object.entries(QUERY_CHECKS)) {
+    const value = req.query[field];
+    if (value === undefined || value === "") continue;
+    if (Array.isArray(value) || typeof value === "object") {
+      return res.status(400).json(invalid(`invalid_${field}`, field, JSON.stringify(value), { detail: "repeated parameter" }));
+    }
+    const err = check(value, field);
+    if (err) return res.status(400).json(err);
+  }
+  next();
+}
+
+// For app.param(name, …): validates a named route parameter. Errors use the
+// check's snake_case field (market_id), same as the query parameter would.
+function paramValidator(check) {
+  return (req, res, next, value) => {
+    const err = check(value);
+    return err ? res.status(400).json(err) : next();
+  };
+}
+
+module.exports = {
+  checkMarketId,
+  checkMarketIdList,
+  checkTimeframe,
+  checkModelIdx,
+  checkModelId,
+  validateQuery,
+  paramValidator,
+};
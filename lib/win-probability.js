@@ -0,0 +1,224 @@
+// ─── Monte Carlo win probabilities ────────────────────────────────────────────
+//
+//  Belief is a point estimate: after one eval a model looks as certain as
+//  after ten. Here each draw resamples the evals and reruns the belief model:
+//
+//    1. eval indices are resampled with replacement within each benchmark,
+//       jointly for every model (so per-eval comparisons stay aligned)
+//    2. each resampled score gets Gaussian noise with the pooled
+//       within-benchmark sd (or DEFAULT_NOISE_SD when no benchmark repeats)
+//    3. computeBeliefs() on the resampled scores; the top model "wins" the draw
+//
+//  p_win is the share of draws a model wins. Intervals are the central
+//  `level` band of the model's belief (percent) and average score across draws.
+//  A fixed seed keeps the numbers stable between refreshes.
+//
+//  A run takes up to about a second (20000 draws of bradley_terry), so the
+//  polled endpoints go through createWinProbabilityCache(): the same scores,
+//  belief options and draw settings always give the same result.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { computeBeliefs, pickLeader } = require("./belief-models");
+
+const DEFAULT_MONTE_CARLO = {
+  draws: 1000,
+  level: 0.9,
+  seed: 42,
+};
+const DEFAULT_NOISE_SD = 2;   // aggregate points
+
+// Reads `draws` / `level` from an Express query object.
+// Returns { draws, level, seed } or { error } for a 400 response.
+function monteCarloOptionsFromQuery(query = {}) {
+  const opts = { ...DEFAULT_MONTE_CARLO };
+  const params = [
+    ["draws", v => Number.isInteger(v) && v >= 100 && v <= 20000],
+    ["level", v => v >= 0.5 && v < 1],
+  ];
+  for (const [param, valid] of params) {
+    if (query[param] === undefined || query[param] === "") continue;
+    const v = Number(query[param]);
+    if (!Number.isFinite(v) || !valid(v)) {
+      return { error: { error: "invalid_monte_carlo", field: param, value: String(query[param]) } };
+    }
+    opts[param] = v;
+  }
+  return opts;
+}
+
+// mulberry32 — small seeded PRNG
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(rand) {
+  let u = 0;
+  while (u === 0) u = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+function finite(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Eval positions grouped by benchmark, read from whichever model has the eval
+function benchmarkGroups(perModel, evalCount) {
+  const groups = {};
+  for (let k = 0; k < evalCount; k++) {
+    let bench = null;
+    for (const obj of Object.values(perModel)) {
+      if (obj.evalsRaw?.[k]?.benchmark) { bench = String(obj.evalsRaw[k].benchmark); break; }
+    }
+    const key = bench ?? `eval_${k + 1}`;
+    (groups[key] = groups[key] || []).push(k);
+  }
+  return Object.values(groups);
+}
+
+// Pooled sd of each model's scores around its own benchmark mean
+function pooledNoiseSd(perModel, groups) {
+  let ss = 0;
+  let dof = 0;
+  for (const obj of Object.values(perModel)) {
+    for (const idxs of groups) {
+      const vals = idxs.map(k => obj.perEvalAggregates[k]).filter(finite);
+      if (vals.length < 2) continue;
+      const mu = vals.reduce((a, b) => a + b, 0) / vals.length;
+      ss += vals.reduce((s, v) => s + (v - mu) ** 2, 0);
+      dof += vals.length - 1;
+    }
+  }
+  return dof > 0 ? Math.sqrt(ss / dof) : DEFAULT_NOISE_SD;
+}
+
+function overlaps(a, b) {
+  return !!a && !!b && a[0] <= b[1] && b[0] <= a[1];
+}
+
+/**
+ * perModel   as built by buildPerModel() — perEvalAggregates + evalsRaw
+ * beliefOpts { model, temperature } passed through to computeBeliefs()
+ * Returns null when no model has evals.
+ */
+function winProbabilities(perModel, beliefOpts = {}, { draws, level, seed } = DEFAULT_MONTE_CARLO) {
+  const names = Object.keys(perModel);
+  const evalCount = Math.max(0, ...names.map(m => perModel[m].perEvalAggregates?.length || 0));
+  if (!evalCount) return null;
+
+  const groups = benchmarkGroups(perModel, evalCount);
+  const noiseSd = pooledNoiseSd(perModel, groups);
+  const rand = rng(seed);
+
+  const wins = Object.fromEntries(names.map(m => [m, 0]));
+  const beliefSamples = Object.fromEntries(names.map(m => [m, []]));
+  const scoreSamples = Object.fromEntries(names.map(m => [m, []]));
+
+  for (let d = 0; d < draws; d++) {
+    const picks = groups.flatMap(idxs => idxs.map(() => idxs[Math.floor(rand() * idxs.length)]));
+    const sample = {};
+    for (const m of names) {
+      const obj = perModel[m];
+      const raw = [];
+      for (const k of picks) {
+        const v = obj.perEvalAggregates[k];
+        if (!finite(v)) continue;
+        raw.push({ ...(obj.evalsRaw?.[k] || {}), aggregate: v + noiseSd * gaussian(rand) });
+      }
+      const aggregates = raw.map(e => e.aggregate);
+      sample[m] = {
+        ...obj,
+        evalsRaw: raw,
+        perEvalAggregates: aggregates,
+        avgAggregate: aggregates.length ? aggregates.reduce((a, b) => a + b, 0) / aggregates.length : 0,
+      };
+    }
+    const beliefs = computeBeliefs(sample, beliefOpts);
+    const { predictedWinner } = pickLeader(beliefs);
+    if (predictedWinner) wins[predictedWinner]++;
+    for (const m of names) {
+      beliefSamples[m].push(beliefs[m] ?? 0);
+      if (sample[m].perEvalAggregates.length) scoreSamples[m].push(sample[m].avgAggregate);
+    }
+  }
+
+  const tail = (1 - level) / 2;
+  const models = {};
+  for (const m of names) {
+    const b = beliefSamples[m].sort((x, y) => x - y);
+    const s = scoreSamples[m].sort((x, y) => x - y);
+    models[m] = {
+      p_win: wins[m] / draws,
+      belief_interval: [quantile(b, tail), quantile(b, 1 - tail)],
+      score_interval: s.length ? [quantile(s, tail), quantile(s, 1 - tail)] : null,
+      eval_count: perModel[m].perEvalAggregates?.length || 0,
+    };
+  }
+
+  const ranked = names.slice().sort((a, b) => models[b].p_win - models[a].p_win);
+  const [leader, runnerUp] = ranked;
+  for (const m of names) {
+    models[m].overlaps_leader = m !== leader && overlaps(models[m].belief_interval, models[leader].belief_interval);
+  }
+
+  return {
+    draws,
+    level,
+    noise_sd: noiseSd,
+    leader,
+    runner_up: runnerUp ?? null,
+    leader_p_win: models[leader].p_win,
+    // The leader's belief band overlaps the runner-up's — the order could flip
+    low_confidence: runnerUp ? models[runnerUp].overlaps_leader : false,
+    models,
+  };
+}
+
+/**
+ * Memoizes winProbabilities() per market. Evals only ever append, so each
+ * model's eval count stands in for its scores in the key. Least recently used
+ * entries go first once maxEntries is reached.
+ *   onLookup(hit)   optional hook, called on every lookup
+ */
+function createWinProbabilityCache({ maxEntries = 200, onLookup = null } = {}) {
+  const cache = new Map();
+
+  function keyOf(marketId, perModel, beliefOpts, { draws, level, seed }) {
+    const counts = Object.keys(perModel).sort().map(m => `${m}:${perModel[m].perEvalAggregates?.length || 0}`);
+    return JSON.stringify([String(marketId), counts, beliefOpts.model ?? null, beliefOpts.temperature ?? null, draws, level, seed]);
+  }
+
+  function get(marketId, perModel, beliefOpts = {}, mcOpts = DEFAULT_MONTE_CARLO) {
+    const key = keyOf(marketId, perModel, beliefOpts, mcOpts);
+    if (cache.has(key)) {
+      const result = cache.get(key);
+      cache.delete(key);
+      cache.set(key, result);
+      onLookup?.(true);
+      return result;
+    }
+    onLookup?.(false);
+    const result = winProbabilities(perModel, beliefOpts, mcOpts);
+    cache.set(key, result);
+    if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    return result;
+  }
+
+  return { get, size: () => cache.size };
+}
+
+module.exports = { DEFAULT_MONTE_CARLO, monteCarloOptionsFromQuery, winProbabilities, createWinProbabilityCache };
@@ -0,0 +1,32 @@
+// ─── Local webhook receiver ───────────────────────────────────────────────────
+// Prints every alert POSTed to it — enough to try alert rules without an
+// external service.
+//
+//   node scripts/alert-receiver.js [port]            (default 4000)
+//   FAIL_FIRST=2 node scripts/alert-receiver.js      answer 500 to the first 2 requests
+//
+// Then start the server with ALERT_ALLOW_PRIVATE_WEBHOOKS=1 (localhost is
+// otherwise refused) and point a rule at http://localhost:4000/hook
+// ─────────────────────────────────────────────────────────────────────────────
+
+const http = require("http");
+
+const PORT = Number(process.argv[2] || 4000);
+let failFirst = Number(process.env.FAIL_FIRST || 0);
+
+http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    if (failFirst > 0) {
+      failFirst--;
+      console.log(`[receiver] ${req.method} ${req.url} → 500 (simulated failure)`);
+      res.writeHead(500).end();
+      return;
+    }
+    let pretty = body;
+    try { pretty = JSON.stringify(JSON.parse(body), null, 2); } catch { /* not JSON */ }
+    console.log(`[receiver] ${new Date().toISOString()} ${req.method} ${req.url}\n${pretty}\n`);
+    res.writeHead(204).end();
+  });
+}).listen(PORT, () => console.log(`[receiver] Listening on http://localhost:${PORT}`));
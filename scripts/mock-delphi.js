@@ -0,0 +1,258 @@
+// ─── Mock Delphi API ──────────────────────────────────────────────────────────
+// Stands in for https://delphi.gensyn.ai so the dashboard can run offline.
+//
+//   node scripts/mock-delphi.js scripts/scenarios/settle.json [--port 4100] [--manual]
+//   node scripts/mock-delphi.js --fixtures <dir> [--port 4100]
+//
+// Then point the server at it (use a scratch DATA_DIR so the market registry
+// and snapshots don't mix with real data):
+//
+//   DELPHI_BASE_URL=http://localhost:4100 DATA_DIR=/tmp/delphi-mock node server.js
+//
+// A scenario (see scripts/scenarios/) lists markets and steps. Each step fires
+// `at` seconds after start; with --manual, or for steps without `at`, they
+// only fire on POST /__mock/step. Step actions:
+//
+//   add_eval     { market_id, benchmark, scores: [..], prices?: [..] }
+//   set_prices   { market_id, prices: [..] }            new chart point
+//   settle       { market_id, winner_idx }              status → closed
+//   add_market   { market: {..} }                       same shape as `markets`
+//   fail         { match, status = 500, count? }        error responses
+//   bad_json     { match, count? }                      truncated JSON bodies
+//   recover      {}                                     clear every fault
+//
+// `match` is a substring of the request path; without `count` a fault lasts
+// until `recover`. Control routes:
+//
+//   GET  /__mock/state   markets, pending steps and active faults
+//   POST /__mock/step    apply the next pending step now
+//   POST /__mock/reset   reload the scenario from the start
+//
+// --fixtures serves files recorded with DELPHI_RECORD (lib/upstream-fixtures.js)
+// instead of a scenario.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs");
+const http = require("http");
+const { readFixture } = require("../lib/upstream-fixtures");
+
+const args = process.argv.slice(2);
+function flag(name) {
+  const i = args.indexOf(name);
+  return i === -1 ? undefined : args[i + 1];
+}
+const PORT = Number(flag("--port") || 4100);
+const FIXTURES_DIR = flag("--fixtures");
+const MANUAL = args.includes("--manual");
+const SCENARIO_FILE = args.find((a, i) => !a.startsWith("--") && !["--port", "--fixtures"].includes(args[i - 1]));
+
+if (!FIXTURES_DIR && !SCENARIO_FILE) {
+  console.error("usage: node scripts/mock-delphi.js <scenario.json> | --fixtures <dir>  [--port 4100] [--manual]");
+  process.exit(1);
+}
+
+// ── Scenario state ──
+let scenario = null;
+let markets = new Map();   // market_id → market
+let pending = [];          // steps not yet applied
+let faults = [];           // { kind, match, status, remaining }
+let startedAt = 0;
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+// Scenario market spec → live market record. History (evals, prices) is
+// spread evenly over the `age_s` seconds before start.
+function buildMarket(spec) {
+  const createdTs = nowSec() - (spec.age_s ?? 3600);
+  const span = nowSec() - createdTs;
+  const at = (i, n) => createdTs + Math.round((span * (i + 1)) / (n + 1));
+  const market = {
+    market_id: String(spec.market_id),
+    market_name: spec.market_name || `Market #${spec.market_id}`,
+    status: spec.status || "ongoing",
+    created_ts: createdTs,
+    closed_ts: spec.status === "closed" ? nowSec() : null,
+    winning_entry_idx: spec.winner_idx ?? null,
+    entries: (spec.entries || []).map((name, idx) => ({ entry_idx: idx, model_name: name })),
+    evals: (spec.entries || []).map(() => []),
+    data_points: [],
+  };
+  const rounds = spec.evals || [];
+  rounds.forEach((round, i) => pushEval(market, round, at(i, rounds.length)));
+  const history = spec.prices || [];
+  history.forEach((prices, i) => pushPrices(market, prices, at(i, history.length)));
+  return market;
+}
+
+function pushEval(market, { benchmark, scores }, ts = nowSec()) {
+  (scores || []).forEach((score, idx) => {
+    if (score === null || score === undefined || !market.evals[idx]) return;
+    market.evals[idx].push({ benchmark, aggregate: score, created_at: new Date(ts * 1000).toISOString() });
+  });
+}
+
+function pushPrices(market, prices, ts = nowSec()) {
+  market.data_points.push({
+    timestamp: ts,
+    entries: prices.map((p, idx) => ({ entry_idx: idx, price: Number(p).toFixed(4) })),
+  });
+}
+
+function load() {
+  scenario = JSON.parse(fs.readFileSync(SCENARIO_FILE, "utf8"));
+  startedAt = Date.now();
+  markets = new Map((scenario.markets || []).map(spec => [String(spec.market_id), buildMarket(spec)]));
+  pending = (scenario.steps || []).map((step, i) => ({ n: i + 1, ...step }));
+  faults = [];
+  console.log(`[mock] Scenario "${scenario.name || SCENARIO_FILE}" — ${markets.size} markets, ${pending.length} steps`);
+}
+
+function marketFor(step) {
+  const m = markets.get(String(step.market_id));
+  if (!m) throw new Error(`unknown market_id ${step.market_id}`);
+  return m;
+}
+
+const ACTIONS = {
+  add_eval: step => {
+    const m = marketFor(step);
+    pushEval(m, step);
+    if (step.prices) pushPrices(m, step.prices);
+  },
+  set_prices: step => pushPrices(marketFor(step), step.prices),
+  settle: step => {
+    const m = marketFor(step);
+    m.status = "closed";
+    m.closed_ts = nowSec();
+    m.winning_entry_idx = step.winner_idx ?? null;
+  },
+  add_market: step => {
+    const m = buildMarket(step.market);
+    markets.set(m.market_id, m);
+  },
+  fail: step => faults.push({ kind: "fail", match: step.match || "", status: step.status || 500, remaining: step.count ?? Infinity }),
+  bad_json: step => faults.push({ kind: "bad_json", match: step.match || "", status: 200, remaining: step.count ?? Infinity }),
+  recover: () => { faults = []; },
+};
+
+function applyStep(step) {
+  const action = ACTIONS[step.action];
+  if (!action) throw new Error(`unknown action "${step.action}"`);
+  action(step);
+  console.log(`[mock] Step ${step.n}: ${step.action}${step.market_id !== undefined ? ` market=${step.market_id}` : ""}${step.note ? ` — ${step.note}` : ""}`);
+}
+
+function applyDueSteps() {
+  const elapsed = (Date.now() - startedAt) / 1000;
+  while (pending.length && pending[0].at !== undefined && pending[0].at <= elapsed) {
+    const step = pending.shift();
+    try { applyStep(step); } catch (e) { console.error(`[mock] Step ${step.n} failed:`, e.message); }
+  }
+}
+
+// ── Delphi API shapes ──
+function listItem(m) {
+  const { evals, data_points, ...item } = m;
+  return item;
+}
+
+function route(pathname, query) {
+  let match;
+  if (pathname === "/api/markets") {
+    const status = query.get("status");
+    const limit = Number(query.get("limit")) || 100;
+    const items = [...markets.values()]
+      .filter(m => !status || m.status === status)
+      .sort((a, b) => b.created_ts - a.created_ts)
+      .slice(0, limit)
+      .map(listItem);
+    return [200, { items }];
+  }
+  if ((match = pathname.match(/^\/api\/markets\/([^/]+)\/evals$/))) {
+    const m = markets.get(decodeURIComponent(match[1]));
+    const evals = m?.evals[Number(query.get("modelIdx"))] || [];
+    return [200, { evals }];
+  }
+  if ((match = pathname.match(/^\/api\/markets\/([^/]+)\/chart$/))) {
+    const m = markets.get(decodeURIComponent(match[1]));
+    if (!m) return [404, { error: "not_found" }];
+    return [200, { market_chart: { entry_count: m.entries.length, data_points: m.data_points } }];
+  }
+  if ((match = pathname.match(/^\/api\/markets\/([^/]+)$/))) {
+    const m = markets.get(decodeURIComponent(match[1]));
+    return m ? [200, { market: listItem(m) }] : [404, { error: "not_found" }];
+  }
+  return [404, { error: "not_found" }];
+}
+
+function takeFault(requestPath) {
+  const fault = faults.find(f => f.remaining > 0 && requestPath.includes(f.match));
+  if (!fault) return null;
+  fault.remaining--;
+  return fault;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+// ── Control routes ──
+function control(req, res, pathname) {
+  if (req.method === "GET" && pathname === "/__mock/state") {
+    return send(res, 200, {
+      scenario: scenario?.name ?? null,
+      elapsed_s: Math.round((Date.now() - startedAt) / 1000),
+      markets: [...markets.values()].map(m => ({ ...listItem(m), eval_count: Math.max(0, ...m.evals.map(e => e.length)), data_points: m.data_points.length })),
+      pending,
+      faults: faults.filter(f => f.remaining > 0),
+    });
+  }
+  if (req.method === "POST" && pathname === "/__mock/step") {
+    const step = pending.shift();
+    if (!step) return send(res, 409, { error: "no_pending_steps" });
+    try {
+      applyStep(step);
+    } catch (e) {
+      return send(res, 400, { error: "step_failed", step, detail: e.message });
+    }
+    return send(res, 200, { applied: step, remaining: pending.length });
+  }
+  if (req.method === "POST" && pathname === "/__mock/reset") {
+    load();
+    return send(res, 200, { ok: true, steps: pending.length });
+  }
+  return send(res, 404, { error: "not_found" });
+}
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const requestPath = url.pathname + url.search;
+
+  if (FIXTURES_DIR) {
+    const fixture = readFixture(FIXTURES_DIR, requestPath);
+    console.log(`[mock] ${requestPath} → ${fixture ? fixture.status : "404 (no fixture)"}`);
+    return fixture ? send(res, fixture.status, fixture.body) : send(res, 404, { error: "no_fixture", path: requestPath });
+  }
+
+  if (url.pathname.startsWith("/__mock/")) return control(req, res, url.pathname);
+
+  if (!MANUAL) applyDueSteps();
+  const fault = takeFault(requestPath);
+  if (fault?.kind === "fail") {
+    console.log(`[mock] ${requestPath} → ${fault.status} (injected)`);
+    return send(res, fault.status, { error: "injected_failure" });
+  }
+  const [status, body] = route(url.pathname, url.searchParams);
+  if (fault?.kind === "bad_json") {
+    console.log(`[mock] ${requestPath} → bad JSON (injected)`);
+    return send(res, 200, JSON.stringify(body).slice(0, 20));
+  }
+  send(res, status, body);
+}).listen(PORT, () => {
+  if (SCENARIO_FILE) {
+    load();
+    if (!MANUAL) setInterval(applyDueSteps, 1000);
+  }
+  console.log(`[mock] Delphi mock on http://localhost:${PORT}${FIXTURES_DIR ? ` serving fixtures from ${FIXTURES_DIR}` : ""}`);
+});
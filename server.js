@@ -1,393 +1,274 @@
 const express = require("express");
 const path = require("path");
+const crypto = require("crypto");
 const compression = require("compression");
+const {
+  BELIEF_MODELS,
+  DEFAULT_BELIEF_MODEL,
+  beliefOptionsFromQuery,
+  computeBeliefs,
+  computeBeliefHistory,
+  benchmarkMatrix,
+  pickLeader,
+} = require("./lib/belief-models");
+const { createSnapshotStore, parseTimeParam } = require("./lib/snapshot-store");
+const { createDelphiClient, defaultFetch } = require("./lib/delphi-client");
+const { extractMarketChart, parsePrice, chartSeries, mergeDataPoints, pickWinnerFromChart } = require("./lib/market-chart");
+const { createMarketRegistry } = require("./lib/market-registry");
+const { benchmarkBreakdown } = require("./lib/benchmark-breakdown");
+const { headToHead, addOutcomes } = require("./lib/head-to-head");
+const { EVAL_TIME_KEYS, strategyFromQuery, aggregateBacktests, evalArrivalTimes, replaySettledMarket } = require("./lib/backtest");
+const { normalizeForecast, scoreForecast, calibrationSummary } = require("./lib/calibration");
+const { computeSignals, GAP_THRESHOLD } = require("./lib/signals");
+const { sizingFromQuery, computeSizing } = require("./lib/sizing");
+const { scenarioFromQuery, simulateNextEval } = require("./lib/simulate");
+const { windowFromQuery, priceStats } = require("./lib/price-stats");
+const { themeFromQuery, marketBadge, historyBadge } = require("./lib/badge");
+const { earlySignalMarket, earlySignalSummary } = require("./lib/early-signal");
+const { createAlertEngine, validateRule, redactWebhookUrl, RULE_TYPES } = require("./lib/alert-engine");
+const { createMarketStream } = require("./lib/market-stream");
+const { formatFromQuery, sendExport } = require("./lib/export");
+const { monteCarloOptionsFromQuery, createWinProbabilityCache } = require("./lib/win-probability");
+const { MODEL_CATALOG, resolveModel, modelMeta, normalizeName } = require("./lib/model-registry");
+const { createFixtureFetch } = require("./lib/upstream-fixtures");
+const { MARKET_CONFIG, GHOST_MARKET_IDS } = require("./lib/market-config");
+const { createLiveMarketDetector } = require("./lib/live-market");
+const { buildPerModel, createPredictor } = require("./lib/prediction");
+const { checkMarketId, checkModelId, validateQuery, paramValidator } = require("./lib/validation");
+const { createRateLimiter } = require("./lib/rate-limit");
+const { createLogger, runWithLogContext } = require("./lib/logger");
+const { createMetrics } = require("./lib/metrics");
 
 const app = express();
 const PORT = 3000;
+const log = createLogger("server");
 
 // ─── Cache config ─────────────────────────────────────────────────────────────
-let delphiChartCache = null;
-let delphiChartCacheTime = 0;
-const CACHE_DURATION_MS = 5000;
+// Upstream payloads are cached per market/endpoint inside the Delphi client;
+// only derived results are cached here.
 
-let humanBeliefCache = null;
-let humanBeliefCacheTime = 0;
-const HUMAN_BELIEF_CACHE_MS = 8000;
-const HUMAN_BELIEF_TIMEOUT_MS = 9000;
-
-let historicalCache = null;
-let historicalCacheTime = 0;
+// Keyed by belief model + temperature → { payload, time }
+const historicalCache = {};
 const HISTORICAL_CACHE_MS = 30000;
 
-app.use(compression());
-app.use(express.static(path.join(__dirname, "public")));
+// Keyed by belief model + temperature → { rows, time }
+const modelCareerCache = {};
+const MODEL_CAREER_CACHE_MS = 60000;
+
+// Monte Carlo win probabilities, keyed by market + per-model eval counts +
+// belief and draw options (see lib/win-probability.js)
+const winProbabilityCache = createWinProbabilityCache({
+  onLookup: hit => cacheRequests.inc({ cache: "win_probability", result: hit ? "hit" : "miss" }),
+});
 
-// ─── Safe fetch ───────────────────────────────────────────────────────────────
-async function safeFetch(url, opts = {}) {
-  if (global.fetch) return global.fetch(url, opts);
-  const { default: nodeFetch } = await import("node-fetch");
-  return nodeFetch(url, opts);
+// ─── Snapshot store ───────────────────────────────────────────────────────────
+// Background poller writes evals + chart points to DATA_DIR/snapshots.
+// Disabled on Vercel (read-only FS, no long-lived process) unless set explicitly.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const SNAPSHOT_POLL_MS = Number(process.env.SNAPSHOT_POLL_MS ?? (process.env.VERCEL ? 0 : 60000));
+const snapshotStore = createSnapshotStore({ dir: path.join(DATA_DIR, "snapshots") });
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+// Served at /api/metrics (see lib/metrics.js). Counts the Delphi client and the
+// live-market detector keep themselves are copied in at scrape time, below.
+const metrics = createMetrics();
+const httpRequests = metrics.counter("delphi_http_requests_total", "HTTP requests served, by route pattern and status.", ["method", "route", "status"]);
+const httpDuration = metrics.histogram("delphi_http_request_duration_seconds", "HTTP request latency by route pattern.", ["route"]);
+const upstreamRequests = metrics.counter("delphi_upstream_requests_total", "Delphi API attempts (retries count) by endpoint type and status.", ["endpoint", "status"]);
+const upstreamDuration = metrics.histogram("delphi_upstream_request_duration_seconds", "Delphi API attempt latency by endpoint type.", ["endpoint"]);
+const cacheRequests = metrics.counter("delphi_cache_requests_total", "Cache lookups by cache and result (hit, miss, stale).", ["cache", "result"]);
+const cacheEntries = metrics.gauge("delphi_cache_entries", "Entries held per cache.", ["cache"]);
+const ghostDetections = metrics.counter("delphi_ghost_markets_detected_total", "Markets listed upstream with no eval data, by who found them.", ["source"]);
+const liveMarketChanges = metrics.counter("delphi_live_market_changes_total", "Times the detected live market or its status changed.");
+const liveMarketInfo = metrics.gauge("delphi_live_market_info", "Markets currently live, or the settled fallback the dashboard shows when none are (value is always 1).", ["market_id", "status"]);
+
+// ─── Request ids & access log ─────────────────────────────────────────────────
+// Every request gets an id — a well-formed incoming X-Request-Id is kept — that
+// is echoed back and stamped on every log line written while handling it.
+const REQUEST_ID_RE = /^[\w.:-]{1,64}$/;
+const accessLog = createLogger("http");
+
+// Route pattern for metrics labels, so raw ids don't explode cardinality
+function routeLabel(req) {
+  if (req.route) return req.baseUrl + req.route.path;
+  return req.path.startsWith("/api") ? "unmatched" : "static";
 }
 
-async function fetchText(url) {
-  const res = await safeFetch(url, {
-    headers: {
-      accept: "application/json",
-      "user-agent": "Mozilla/5.0",
-      "cache-control": "no-cache, no-store, must-revalidate",
-      pragma: "no-cache",
-    },
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  const started = process.hrtime.bigint();
+
+  res.once("close", () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const route = routeLabel(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ route }, durationMs / 1000);
+    const quiet = route === "static" || route === "/api/metrics" || route === "/api/health";
+    const level = res.statusCode >= 500 ? "warn" : quiet ? "debug" : "info";
+    accessLog[level]("Request", {
+      request_id: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(durationMs),
+      ip: req.ip,
+    });
   });
-  const text = await res.text();
-  return { ok: res.ok, status: res.status, text };
-}
 
-async function fetchJson(url) {
-  const { ok, status, text } = await fetchText(url);
-  try {
-    return { ok, status, json: JSON.parse(text), text };
-  } catch {
-    return { ok: false, status, json: null, text };
-  }
-}
+  runWithLogContext({ request_id: req.id }, next);
+});
 
-async function fetchJsonWithTimeout(url, timeoutMs = HUMAN_BELIEF_TIMEOUT_MS) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), timeoutMs);
-  try {
-    const res = await safeFetch(url, {
-      signal: ctrl.signal,
-      headers: {
-        accept: "application/json",
-        "user-agent": "Mozilla/5.0",
-        "cache-control": "no-cache, no-store, must-revalidate",
-        pragma: "no-cache",
-      },
-    });
-    const text = await res.text();
-    try {
-      return { ok: res.ok, status: res.status, json: JSON.parse(text), text };
-    } catch {
-      return { ok: false, status: res.status, json: null, text };
-    }
-  } catch (e) {
-    return { ok: false, status: 0, json: null, text: String(e) };
-  } finally {
-    clearTimeout(t);
-  }
-}
+app.use(compression());
+app.use(express.json({ limit: "100kb" }));
+app.use(express.static(path.join(__dirname, "public")));
 
-function normalizeName(name) {
-  return String(name || "").trim().toLowerCase().replace(/\s+/g, " ");
+// ─── Request guards ───────────────────────────────────────────────────────────
+// Per-IP limits on /api (see lib/rate-limit.js); routes that fan out to many
+// upstream requests per hit also go through the tighter fanoutLimiter.
+// Parameters that reach upstream URLs are validated first (lib/validation.js).
+const RATE_LIMIT_PER_MIN = Number(process.env.RATE_LIMIT_PER_MIN ?? 120);
+const RATE_LIMIT_FANOUT_PER_MIN = Number(process.env.RATE_LIMIT_FANOUT_PER_MIN ?? 20);
+
+// req.ip should be the client, not the platform's proxy
+app.set("trust proxy", process.env.VERCEL ? 1 : Number(process.env.TRUST_PROXY || 0));
+
+const apiLimiter = createRateLimiter({ name: "api", max: RATE_LIMIT_PER_MIN });
+const fanoutLimiter = createRateLimiter({ name: "fanout", max: RATE_LIMIT_FANOUT_PER_MIN });
+
+app.use("/api", apiLimiter, validateQuery);
+app.param("marketId", paramValidator(checkMarketId));
+app.param("modelId", paramValidator(checkModelId));
+
+// ─── Delphi upstream client ───────────────────────────────────────────────────
+// DELPHI_BASE_URL points at another upstream (e.g. scripts/mock-delphi.js).
+// DELPHI_RECORD / DELPHI_REPLAY save or serve responses from a fixture dir.
+function upstreamFetch() {
+  if (process.env.DELPHI_REPLAY) {
+    log.info("Replaying upstream responses", { dir: process.env.DELPHI_REPLAY });
+    return createFixtureFetch({ mode: "replay", dir: process.env.DELPHI_REPLAY });
+  }
+  if (process.env.DELPHI_RECORD) {
+    log.info("Recording upstream responses", { dir: process.env.DELPHI_RECORD });
+    return createFixtureFetch({ mode: "record", dir: process.env.DELPHI_RECORD, fetchImpl: defaultFetch });
+  }
+  return undefined;
 }
 
-// ─── MARKET CONFIG ────────────────────────────────────────────────────────────
-//
-//  Delphi UI order (oldest → newest) mapped to API market_ids:
-//
-//  Display # | API ID | Market Name                                    | Winner
-//  ──────────┼────────┼────────────────────────────────────────────────┼──────────────────────────────────
-//  Market 1  |   0    | Middleweight General Reasoning Benchmark        | Qwen/Qwen3-30B-A3B-Instruct-2507
-//  Market 2  |   1    | Middleweight General Reasoning Benchmark (II)   | Qwen/Qwen3-30B-A3B-Instruct-2507
-//  Market 3  |   3    | Lightweight General Reasoning Benchmark         | Qwen/Qwen3-8B
-//  Market 4  |   4    | Commercial-Fast Reasoning Benchmark             | grok-4.1-fast-reasoning
-//
-//  API ID 2 = ghost/ongoing entry with no valid evals or chart → excluded entirely.
-// ─────────────────────────────────────────────────────────────────────────────
-
-const MARKET_CONFIG = {
-  "0": {
-    displayNum: 1,
-    name: "Gensyn Middleweight General Reasoning Benchmark",
-    closedDate: "Dec 29, 2024",
-    confirmedWinner: "Qwen/Qwen3-30B-A3B-Instruct-2507",
-    entryMap: {
-      "0": "Qwen/Qwen3-30B-A3B-Instruct-2507",
-      "1": "zai-org/glm-4-32b-0414",
-      "2": "tiiuae/falcon-h1-34b-instruct",
-      "3": "google/gemma-3-27b-it",
-      "4": "openai/gpt-oss-20b",
-    },
-  },
-  "1": {
-    displayNum: 2,
-    name: "Gensyn Middleweight General Reasoning Benchmark (II)",
-    closedDate: "Dec 29, 2024",
-    confirmedWinner: "Qwen/Qwen3-30B-A3B-Instruct-2507",
-    entryMap: {
-      "0": "Qwen/Qwen3-30B-A3B-Instruct-2507",
-      "1": "openai/gpt-oss-20b",
-      "2": "google/gemma-3-27b-it",
-      "3": "zai-org/glm-4-32b-0414",
-      "4": "tiiuae/falcon-h1-34b-instruct",
-    },
-  },
-  "3": {
-    displayNum: 3,
-    name: "Gensyn Lightweight General Reasoning Benchmark",
-    closedDate: "Jan 30, 2025",
-    confirmedWinner: "Qwen/Qwen3-8B",
-    // Confirmed from /api/debug-market/3:
-    // modelIdx=0 → Qwen/Qwen3-8B      → avgAggregate 42.59
-    // modelIdx=1 → mistralai           → avgAggregate 43.54 (higher score but Qwen actually won)
-    // modelIdx=2 → ibm-granite         → avgAggregate 37.02
-    // modelIdx=3 → allenai/olmo        → avgAggregate 34.29
-    // modelIdx=4 → meta-llama          → avgAggregate 38.05
-    // NOTE: Mistralai scored highest on evals AND had 88.5% market price —
-    // but Qwen won. Genuine incorrect prediction by belief system (not a mapping bug).
-    entryMap: {
-      "0": "Qwen/Qwen3-8B",
-      "1": "mistralai/ministral-3-8b-instruct-2512",
-      "2": "ibm-granite/granite-4.0-h-tiny",
-      "3": "allenai/olmo-3-7b-instruct",
-      "4": "meta-llama/llama-3.1-8b-instruct",
-    },
+const delphi = createDelphiClient({
+  baseUrl: process.env.DELPHI_BASE_URL || undefined,
+  fetchImpl: upstreamFetch(),
+  timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS || 9000),
+  retries: Number(process.env.UPSTREAM_RETRIES ?? 2),
+  onUpstream: ({ type, status, error, duration_ms }) => {
+    const label = error === "bad_json" ? "bad_json" : status || (error === "timeout" ? "timeout" : "network_error");
+    upstreamRequests.inc({ endpoint: type, status: label });
+    upstreamDuration.observe({ endpoint: type }, duration_ms / 1000);
   },
-  "4": {
-    displayNum: 4,
-    name: "Gensyn Commercial-Fast Reasoning Benchmark",
-    closedDate: "Feb 27, 2025",
-    confirmedWinner: "grok-4.1-fast-reasoning",
-    entryMap: {
-      "0": "claude-haiku-4-5",
-      "1": "gemini-3-flash-preview",
-      "2": "gpt-5-mini",
-      "3": "grok-4.1-fast-reasoning",
-    },
-  },
-};
-
-// Oldest → newest display order (known settled markets)
-const MARKET_ORDER = ["0", "1", "3", "4"];
+});
 
-// ─── Dynamic live market detection ───────────────────────────────────────────
-// No more hardcoded current market ID.
-// Server checks Delphi API for any ongoing market automatically.
-// Falls back to latest known settled market (ID "4") if nothing is live.
+const marketRegistry = createMarketRegistry({
+  client: delphi,
+  file: path.join(DATA_DIR, "market-registry.json"),
+  overrides: MARKET_CONFIG,
+  onGhost: () => ghostDetections.inc({ source: "registry" }),
+});
 
-let liveMarketCache = null;
-let liveMarketCacheTime = 0;
+// ─── Live market detection (see lib/live-market.js) ──────────────────────────
 const LIVE_MARKET_CACHE_MS = 60000; // re-check Delphi API every 60s
+const { detect: detectLiveMarket, detectAll: detectLiveMarkets, state: liveMarketState } = createLiveMarketDetector({
+  client: delphi,
+  registry: marketRegistry,
+  overrides: MARKET_CONFIG,
+  ghostIds: GHOST_MARKET_IDS,
+  cacheMs: LIVE_MARKET_CACHE_MS,
+  onGhost: () => ghostDetections.inc({ source: "live" }),
+  onCacheLookup: hit => cacheRequests.inc({ cache: "live_market", result: hit ? "hit" : "miss" }),
+  onChange: (current, previous) => {
+    liveMarketChanges.inc();
+    log.info("Live market changed", {
+      market_id: current.market_id,
+      market_name: current.market_name,
+      status: current.status,
+      previous_market_id: previous?.market_id ?? null,
+      previous_status: previous?.status ?? null,
+    });
+  },
+});
 
-// Ghost IDs — market IDs that appear as "ongoing" in the Delphi API
-// but have no real eval/chart data and should never be treated as live.
-// Only ID "2" is a confirmed ghost (stale entry Gensyn never cleaned up).
-// IDs 0,1,3,4 are real settled markets and handled via the fallback path.
-const GHOST_MARKET_IDS = new Set(["2"]);
-
-// Validate a market actually has real eval data (not a ghost)
-async function marketHasRealData(marketId) {
-  // Quick check: probe modelIdx=0, need at least 1 eval returned
-  const r = await fetchJson(
-    `https://delphi.gensyn.ai/api/markets/${marketId}/evals?modelIdx=0`
-  ).catch(() => ({ ok: false, json: null }));
-  const evals = r?.json?.evals;
-  return Array.isArray(evals) && evals.length > 0;
-}
-
-async function detectLiveMarket() {
-  const now = Date.now();
-  if (liveMarketCache && now - liveMarketCacheTime < LIVE_MARKET_CACHE_MS) {
-    return liveMarketCache;
-  }
-
-  try {
-    const r = await fetchJson("https://delphi.gensyn.ai/api/markets?limit=10&status=ongoing");
-    const items = r?.json?.items || [];
-
-    // Step 1: filter out known ghost IDs
-    const candidates = items
-      .filter(m => !GHOST_MARKET_IDS.has(String(m.market_id)))
-      .sort((a, b) => (b.created_ts || 0) - (a.created_ts || 0)); // newest first
-
-    // Step 2: validate each candidate actually has real eval data
-    for (const candidate of candidates) {
-      const marketId = String(candidate.market_id);
-      const hasData = await marketHasRealData(marketId);
-
-      if (!hasData) {
-        console.log(`[live-market] Skipping market ID ${marketId} "${candidate.market_name}" — no real eval data (ghost)`);
-        // Auto-add to ghost set so future checks skip it instantly
-        GHOST_MARKET_IDS.add(marketId);
-        continue;
-      }
-
-      // Valid live market found
-      if (MARKET_CONFIG[marketId]) {
-        liveMarketCache = {
-          market_id: marketId,
-          market_name: MARKET_CONFIG[marketId].name,
-          status: "ongoing",
-          entryMap: MARKET_CONFIG[marketId].entryMap,
-          isKnown: true,
-        };
-      } else {
-        console.log(`[live-market] New market detected: ID ${marketId} "${candidate.market_name}" — discovering models...`);
-        const entryMap = await discoverEntryMap(marketId);
-        liveMarketCache = {
-          market_id: marketId,
-          market_name: candidate.market_name || `Market #${marketId}`,
-          status: "ongoing",
-          entryMap,
-          isKnown: false,
-        };
-      }
-
-      liveMarketCacheTime = now;
-      console.log(`[live-market] ✅ Active market → ID=${marketId} "${liveMarketCache.market_name}"`);
-      return liveMarketCache;
-    }
-  } catch (e) {
-    console.error("[live-market] Check failed:", e.message);
-  }
-
-  // Nothing live (or all candidates were ghosts) — fall back to latest settled market
-  liveMarketCache = {
-    market_id: "4",
-    market_name: MARKET_CONFIG["4"].name,
-    status: "closed",
-    entryMap: MARKET_CONFIG["4"].entryMap,
-    isKnown: true,
-  };
-  liveMarketCacheTime = Date.now();
-  console.log(`[live-market] No active market found — showing latest settled (ID 4)`);
-  return liveMarketCache;
-}
-
-// Probe modelIdx 0-9 to discover models in an unknown new market
-async function discoverEntryMap(marketId) {
-  const probes = await Promise.all(
-    Array.from({ length: 10 }, (_, i) =>
-      fetchJson(`https://delphi.gensyn.ai/api/markets/${marketId}/evals?modelIdx=${i}`)
-        .then(r => ({ idx: i, ok: r.ok && r.json && Array.isArray(r.json.evals) && r.json.evals.length > 0 }))
-        .catch(() => ({ idx: i, ok: false }))
-    )
-  );
-  const entryMap = {};
-  for (const p of probes) {
-    if (p.ok) entryMap[String(p.idx)] = `Entry #${p.idx}`;
+// Looks a market up by id: the live markets (and the settled fallback pick)
+// first, then the settled registry.
+// Returns { marketId, name, status, entryMap } or null.
+async function findMarket(marketId) {
+  const id = String(marketId);
+  const [pick, liveMarkets] = await Promise.all([detectLiveMarket(), detectLiveMarkets()]);
+  const live = [...liveMarkets, pick].find(m => String(m.market_id) === id);
+  if (live) {
+    return { marketId: id, name: live.market_name, status: live.status, entryMap: live.entryMap };
   }
-  console.log(`[discoverEntryMap] Market ${marketId}: found ${Object.keys(entryMap).length} models`);
-  return entryMap;
-}
-
-// ─── Chart winner helper ──────────────────────────────────────────────────────
-function pickWinnerFromChart(chartJson, entryMap) {
-  let market_chart = null;
-  if (chartJson?.market_chart?.data_points)            market_chart = chartJson.market_chart;
-  else if (chartJson?.data_points)                     market_chart = chartJson;
-  else if (chartJson?.data?.market_chart?.data_points) market_chart = chartJson.data.market_chart;
-
-  const pts = market_chart?.data_points;
-  if (!Array.isArray(pts) || pts.length === 0) return null;
-
-  const last = pts[pts.length - 1];
-  const entries = last?.entries;
-  if (!Array.isArray(entries) || entries.length === 0) return null;
-
-  let best = null;
-  for (const e of entries) {
-    const price = typeof e.price === "string" ? Number(e.price)
-                : typeof e.price === "number" ? e.price : NaN;
-    if (!Number.isFinite(price)) continue;
-    if (!best || price > best.price) best = { idx: String(e.entry_idx), price };
-  }
-  if (!best) return null;
-  return entryMap?.[best.idx] || null;
+  await marketRegistry.ensureFresh();
+  const record = marketRegistry.get(id);
+  if (!record) return null;
+  return { marketId: id, name: record.name, status: "closed", entryMap: record.entryMap };
 }
 
-async function resolveWinnerFromChart(marketId, entryMap, confirmedWinner) {
-  // For closed markets, always use the confirmed winner from Delphi UI.
-  // The chart top price is unreliable for closed markets — the final
-  // settlement price doesn't always reflect the actual winner index.
-  if (confirmedWinner) {
-    return { actualWinner: confirmedWinner, source: "confirmed" };
-  }
-  // No confirmed winner — try chart as last resort (live/unknown markets)
-  const r = await fetchJson(`https://delphi.gensyn.ai/api/markets/${marketId}/chart?timeframe=auto`);
-  if (r.ok && r.json) {
-    const w = pickWinnerFromChart(r.json, entryMap);
-    if (w) return { actualWinner: w, source: "chart_top_price" };
-  }
-  return { actualWinner: "TBD", source: "unavailable" };
+// ?market_id= when given, otherwise whatever detectLiveMarket() picked
+async function requestedMarketId(req) {
+  if (req.query.market_id !== undefined && req.query.market_id !== "") return String(req.query.market_id);
+  return String((await detectLiveMarket()).market_id);
 }
 
-// ─── Compute prediction from evals ───────────────────────────────────────────
-async function computeMarketPrediction(marketId, entryMap) {
-  const idxKeys = Object.keys(entryMap);
-  if (idxKeys.length === 0) {
-    return { perModel: {}, beliefs: {}, predictedWinner: null, topBelief: 0, evalCount: 0, rankings: [] };
-  }
-
-  const allEvals = await Promise.all(
-    idxKeys.map((idxStr) =>
-      fetchJson(`https://delphi.gensyn.ai/api/markets/${marketId}/evals?modelIdx=${idxStr}`)
-        .then((r) => {
-          if (!r.ok || !r.json) {
-            console.warn(`  [evals] market=${marketId} idx=${idxStr} → ${r.status}`);
-          }
-          return { modelIdx: idxStr, ok: r.ok, json: r.json };
-        })
-        .catch((err) => ({ modelIdx: idxStr, ok: false, json: null, error: err.message }))
-    )
-  );
-
-  const perModel = {};
-  let evalCount = 0;
-
-  for (const r of allEvals) {
-    const modelName = entryMap[String(r.modelIdx)] || `Entry #${r.modelIdx}`;
-    const evals = Array.isArray(r?.json?.evals) ? r.json.evals : [];
-    evalCount = Math.max(evalCount, evals.length);
-
-    const aggregates = evals.map((e) =>
-      typeof e?.aggregate === "number" && Number.isFinite(e.aggregate) ? e.aggregate : 0
-    );
-    const avgAggregate = aggregates.length > 0
-      ? aggregates.reduce((a, b) => a + b, 0) / aggregates.length
-      : 0;
-
-    perModel[modelName] = {
-      modelIdx: r.modelIdx,
-      avgAggregate,
-      perEvalAggregates: aggregates,
-      evalsRaw: evals,
-      upstream_ok: !!r.ok,
-    };
-  }
-
-  const totalScore = Object.values(perModel).reduce((s, o) => s + o.avgAggregate, 0);
-  const beliefs = {};
-  let predictedWinner = null, topBelief = 0;
-
-  if (totalScore > 0) {
-    for (const [model, obj] of Object.entries(perModel)) {
-      const belief = (obj.avgAggregate / totalScore) * 100;
-      beliefs[model] = belief;
-      if (belief > topBelief) { topBelief = belief; predictedWinner = model; }
-    }
-  }
-
-  const rankings = Object.entries(perModel)
-    .map(([model, obj]) => ({
-      model,
-      modelIdx: obj.modelIdx,
-      avgScore: obj.avgAggregate,
-      perEvalAggregates: obj.perEvalAggregates,
-    }))
-    .sort((a, b) => b.avgScore - a.avgScore);
-
-  return { perModel, beliefs, predictedWinner, topBelief, evalCount, rankings };
-}
+// ─── Prediction (see lib/prediction.js) ──────────────────────────────────────
+const { computeMarketPrediction, resolveWinnerFromChart } = createPredictor({ client: delphi });
 
 // ─── Pages ────────────────────────────────────────────────────────────────────
+app.get("/live",                   (req, res) => res.sendFile(path.join(__dirname, "public", "live-markets.html")));
 app.get("/settled-markets",        (req, res) => res.sendFile(path.join(__dirname, "public", "settled-markets.html")));
 app.get("/what-is-delphi-beliefs", (req, res) => res.sendFile(path.join(__dirname, "public", "what-is-delphi-beliefs.html")));
+app.get("/backtest",               (req, res) => res.sendFile(path.join(__dirname, "public", "backtest.html")));
+// Dashboard for any market; the page reads the id from its own path
+app.get("/markets/:id",            (req, res) => res.sendFile(path.join(__dirname, "public", "index.html")));
+app.get("/models",                 (req, res) => res.sendFile(path.join(__dirname, "public", "model.html")));
+app.get("/models/:id",             (req, res) => res.sendFile(path.join(__dirname, "public", "model.html")));
 
 // ─── Debug endpoints ──────────────────────────────────────────────────────────
+// With DEBUG_TOKEN set, these need `Authorization: Bearer <token>` (or an
+// X-Debug-Token header). Without it they're open in development and hidden
+// (404) in production — NODE_ENV=production or on Vercel. The alert routes
+// use the same gate with ALERTS_TOKEN (falling back to DEBUG_TOKEN).
+const DEBUG_TOKEN = process.env.DEBUG_TOKEN || "";
+const ALERTS_TOKEN = process.env.ALERTS_TOKEN || DEBUG_TOKEN;
+const IS_PRODUCTION = process.env.NODE_ENV === "production" || !!process.env.VERCEL;
+const DEBUG_ROUTES_ENABLED = !!DEBUG_TOKEN || !IS_PRODUCTION;
+const ALERT_ROUTES_ENABLED = !!ALERTS_TOKEN || !IS_PRODUCTION;
+
+function tokenMatches(given, token) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Middleware for routes behind `token`; header is the alternative to Bearer
+function tokenGate(token, enabled, header) {
+  return (req, res, next) => {
+    if (!enabled) return res.status(404).json({ error: "not_found" });
+    if (!token) return next();
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1];
+    if (tokenMatches(bearer ?? req.get(header), token)) return next();
+    res.status(401).json({ error: "unauthorized" });
+  };
+}
+
+const requireDebugAccess = tokenGate(DEBUG_TOKEN, DEBUG_ROUTES_ENABLED, "x-debug-token");
+const requireAlertsAccess = tokenGate(ALERTS_TOKEN, ALERT_ROUTES_ENABLED, "x-alerts-token");
+
+app.use(["/api/test-upstream", "/api/debug-markets", "/api/debug-market"], requireDebugAccess);
+
 app.get("/api/test-upstream", async (req, res) => {
   try {
-    const r = await fetchJson("https://delphi.gensyn.ai/api/markets?limit=3&status=closed");
+    const r = await delphi.markets({ limit: 3, status: "closed" }, { noCache: true });
     res.json({ ok: r.ok, status: r.status, preview: JSON.stringify(r.json).slice(0, 500) });
   } catch (e) {
     res.json({ ok: false, error: String(e) });
@@ -397,8 +278,8 @@ app.get("/api/test-upstream", async (req, res) => {
 app.get("/api/debug-markets", async (req, res) => {
   try {
     const [closed, ongoing] = await Promise.all([
-      fetchJson("https://delphi.gensyn.ai/api/markets?limit=50&status=closed"),
-      fetchJson("https://delphi.gensyn.ai/api/markets?limit=10&status=ongoing"),
+      delphi.markets({ limit: 50, status: "closed" }),
+      delphi.markets({ limit: 10, status: "ongoing" }),
     ]);
     res.json({
       closed:  { ok: closed.ok,  status: closed.status,  data: closed.json  },
@@ -409,16 +290,21 @@ app.get("/api/debug-markets", async (req, res) => {
   }
 });
 
-app.get("/api/debug-market/:id", async (req, res) => {
+// ?model_idx= fetches evals for one entry instead of all of them
+app.get("/api/debug-market/:marketId", fanoutLimiter, async (req, res) => {
   try {
-    const id = req.params.id;
-    const entryMap = MARKET_CONFIG[id]?.entryMap || {};
+    const id = req.params.marketId;
+    const record = marketRegistry.get(id);
+    const entryMap = record?.entryMap || {};
     const modelCount = Math.max(Object.keys(entryMap).length, 5);
+    const indices = req.query.model_idx
+      ? [Number(req.query.model_idx)]
+      : Array.from({ length: modelCount }, (_, i) => i);
 
     const [chart, ...evalResults] = await Promise.all([
-      fetchJson(`https://delphi.gensyn.ai/api/markets/${id}/chart?timeframe=auto`),
-      ...Array.from({ length: modelCount }, (_, i) =>
-        fetchJson(`https://delphi.gensyn.ai/api/markets/${id}/evals?modelIdx=${i}`)
+      delphi.chart(id),
+      ...indices.map(i =>
+        delphi.evals(id, i)
           .then(r => ({
             idx: i,
             ok: r.ok,
@@ -432,7 +318,7 @@ app.get("/api/debug-market/:id", async (req, res) => {
     const lastPoint = pts?.[pts.length - 1] || null;
 
     res.json({
-      config: MARKET_CONFIG[id] || "not in config",
+      config: record || "not in registry",
       chart_entry_count: chart.json?.entry_count,
       chart_winner: pickWinnerFromChart(chart.json, entryMap),
       chart_last_entries: lastPoint?.entries || null,
@@ -458,90 +344,120 @@ app.get("/api/debug-market/:id", async (req, res) => {
 });
 
 // ─── HISTORICAL ANALYSIS ─────────────────────────────────────────────────────
-app.get("/api/historical-analysis", async (req, res) => {
-  try {
-    const now = Date.now();
-    if (historicalCache && now - historicalCacheTime < HISTORICAL_CACHE_MS) {
-      return res.json(historicalCache);
-    }
+const historicalLog = createLogger("historical-analysis");
 
-    const results = [];
+// Predicted vs actual winner for every settled market, oldest first. Cached per
+// belief model and Monte Carlo options; also feeds /badge/history.svg.
+async function historicalAnalysis(beliefOpts, mcOpts) {
+  const cacheKey = `${beliefOpts.model}:${beliefOpts.temperature}:${mcOpts.draws}:${mcOpts.level}`;
+
+  const now = Date.now();
+  const cached = historicalCache[cacheKey];
+  if (cached && now - cached.time < HISTORICAL_CACHE_MS) {
+    cacheRequests.inc({ cache: "historical", result: "hit" });
+    return cached.payload;
+  }
+  cacheRequests.inc({ cache: "historical", result: "miss" });
 
-    for (const marketId of MARKET_ORDER) {
-      const config = MARKET_CONFIG[marketId];
-      if (!config) continue;
+  const results = [];
 
-      const { name, closedDate, entryMap, confirmedWinner, displayNum } = config;
+  await marketRegistry.ensureFresh();
 
-      try {
-        console.log(`\n[Market ${marketId} / Display #${displayNum}] "${name}"`);
-
-        // 1) Compute prediction from evals
-        const { perModel, beliefs, predictedWinner, topBelief, evalCount, rankings } =
-          await computeMarketPrediction(marketId, entryMap);
-
-        // 2) Resolve actual winner from chart, fallback to confirmedWinner
-        const { actualWinner, source: actual_winner_source } =
-          await resolveWinnerFromChart(marketId, entryMap, confirmedWinner);
-
-        // 3) Compare case-insensitively
-        const correct =
-          !!predictedWinner &&
-          !!actualWinner &&
-          actualWinner !== "TBD" &&
-          normalizeName(predictedWinner) === normalizeName(actualWinner);
-
-        console.log(`  predicted="${predictedWinner}" actual="${actualWinner}" correct=${correct} evals=${evalCount}`);
-
-        results.push({
-          marketId,
-          displayNum,
-          marketName: name,
-          market_status: "settled",
-          closedDate,
-          actualWinner,
-          actual_winner_source,
-          predictedWinner: predictedWinner || "No prediction",
-          beliefScore: topBelief,
-          correct,
-          evalCount,
-          beliefs,
-          rankings,
-          perModel,
-        });
-      } catch (error) {
-        console.error(`[Market ${marketId}] ERROR:`, error.message);
-        results.push({
-          marketId,
-          displayNum: config.displayNum,
-          marketName: name,
-          closedDate,
-          error: error.message,
-        });
-      }
+  for (const config of marketRegistry.list()) {
+    const { marketId, name, closedDate, entryMap, confirmedWinner, winnerSource, displayNum } = config;
+
+    try {
+      // 1) Compute prediction from evals
+      const { perModel, beliefs, predictedWinner, topBelief, evalCount, rankings, stale } =
+        await computeMarketPrediction(marketId, entryMap, beliefOpts);
+
+      // 2) Resolve actual winner from chart, fallback to confirmedWinner
+      const { actualWinner, source: actual_winner_source } =
+        await resolveWinnerFromChart(marketId, entryMap, confirmedWinner, winnerSource);
+
+      // 3) Compare case-insensitively
+      const correct =
+        !!predictedWinner &&
+        !!actualWinner &&
+        actualWinner !== "TBD" &&
+        normalizeName(predictedWinner) === normalizeName(actualWinner);
+
+      historicalLog.debug("Market analysed", {
+        market_id: marketId,
+        display_num: displayNum,
+        predicted: predictedWinner,
+        actual: actualWinner,
+        correct,
+        evals: evalCount,
+      });
+
+      results.push({
+        marketId,
+        displayNum,
+        marketName: name,
+        market_status: "settled",
+        closedDate,
+        actualWinner,
+        actual_winner_source,
+        predictedWinner: predictedWinner || "No prediction",
+        beliefScore: topBelief,
+        correct,
+        evalCount,
+        stale,
+        beliefs,
+        win_probabilities: winProbabilityCache.get(marketId, perModel, beliefOpts, mcOpts),
+        rankings,
+        perModel,
+      });
+    } catch (error) {
+      historicalLog.error("Market analysis failed", { market_id: marketId, error });
+      results.push({
+        marketId,
+        displayNum: config.displayNum,
+        marketName: name,
+        closedDate,
+        error: error.message,
+      });
     }
+  }
 
-    const successfulResults  = results.filter((r) => !r.error);
-    const correctPredictions = successfulResults.filter((r) => r.correct).length;
-    const winRate = successfulResults.length > 0
-      ? (correctPredictions / successfulResults.length) * 100
-      : 0;
+  const successfulResults  = results.filter((r) => !r.error);
+  const correctPredictions = successfulResults.filter((r) => r.correct).length;
+  const winRate = successfulResults.length > 0
+    ? (correctPredictions / successfulResults.length) * 100
+    : 0;
 
-    console.log(`\n[historical-analysis] ${correctPredictions}/${successfulResults.length} correct — ${winRate.toFixed(1)}% win rate`);
+  historicalLog.info("Analysis complete", {
+    correct: correctPredictions,
+    markets: successfulResults.length,
+    win_rate: +winRate.toFixed(1),
+  });
 
-    const payload = {
-      markets: results,
-      winRate,
-      totalMarkets: successfulResults.length,
-      settledMarkets: successfulResults.length,
-      correctPredictions,
-    };
+  const payload = {
+    belief_model: beliefOpts.model,
+    temperature: beliefOpts.temperature,
+    stale: results.some((r) => r.stale),
+    markets: results,
+    winRate,
+    totalMarkets: successfulResults.length,
+    settledMarkets: successfulResults.length,
+    correctPredictions,
+  };
 
-    historicalCache = payload;
-    historicalCacheTime = Date.now();
-    res.json(payload);
+  // A stale payload is served but not cached, so the next request retries upstream
+  if (!payload.stale) historicalCache[cacheKey] = { payload, time: Date.now() };
+  return payload;
+}
+
+app.get("/api/historical-analysis", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const mcOpts = monteCarloOptionsFromQuery(req.query);
+    if (mcOpts.error) return res.status(400).json(mcOpts.error);
+    res.json(await historicalAnalysis(beliefOpts, mcOpts));
   } catch (error) {
-    console.error("[historical-analysis] FATAL:", error.message, error.stack);
+    historicalLog.error("Analysis failed", { error, stack: error.stack });
     res.status(500).json({ error: "Failed to fetch historical data", detail: error.message });
   }
 });
@@ -549,10 +465,11 @@ app.get("/api/historical-analysis", async (req, res) => {
 // ─── Entry map ────────────────────────────────────────────────────────────────
 app.get("/api/entry-map", async (req, res) => {
   try {
-    const live = await detectLiveMarket();
-    const marketId = req.query.market_id ? String(req.query.market_id) : live.market_id;
-    const config = MARKET_CONFIG[marketId];
-    const entryMap = config?.entryMap || (marketId === live.market_id ? live.entryMap : {});
+    const marketId = await requestedMarketId(req);
+    const market = await findMarket(marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: marketId });
+    const config = marketRegistry.get(marketId);
+    const entryMap = market.entryMap;
     res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
     res.setHeader("Pragma", "no-cache");
     res.setHeader("Expires", "0");
@@ -561,7 +478,7 @@ app.get("/api/entry-map", async (req, res) => {
       entry_count: Object.keys(entryMap).length,
       fetched_at: new Date().toISOString(),
       map: entryMap,
-      map_source: config ? "confirmed_config" : "dynamic_discovery",
+      map_source: config ? config.entryMapSource : "dynamic_discovery",
     });
   } catch (e) {
     res.status(500).json({ error: String(e) });
@@ -572,31 +489,24 @@ app.get("/api/entry-map", async (req, res) => {
 app.get("/api/delphi-chart", async (req, res) => {
   try {
     const timeframe = String(req.query.timeframe || "auto");
-    const live = await detectLiveMarket();
-    const marketId = req.query.market_id ? String(req.query.market_id) : live.market_id;
-    const config = MARKET_CONFIG[marketId];
-    const entryMap = config?.entryMap || (marketId === live.market_id ? live.entryMap : {});
-
-    const now = Date.now();
-    // Invalidate cache if market changed
-    if (delphiChartCache && delphiChartCache.market_id !== marketId) {
-      delphiChartCache = null;
-      delphiChartCacheTime = 0;
-    }
-    if (delphiChartCache && now - delphiChartCacheTime < CACHE_DURATION_MS) return res.json(delphiChartCache);
+    const marketId = await requestedMarketId(req);
+    const market = await findMarket(marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: marketId });
+    const config = marketRegistry.get(marketId);
+    const entryMap = market.entryMap;
 
-    const url = `https://delphi.gensyn.ai/api/markets/${marketId}/chart?timeframe=${encodeURIComponent(timeframe)}`;
-    const r = await fetchJson(url);
+    const r = await delphi.chart(marketId, timeframe);
 
     if (!r.json) {
-      return res.status(502).json({ error: "bad_upstream_json", status: r.status, body_preview: (r.text || "").slice(0, 200) });
+      return res.status(502).json({
+        error: r.error === "bad_json" ? "bad_upstream_json" : "upstream_unavailable",
+        status: r.status,
+        body_preview: (r.text || "").slice(0, 200),
+      });
     }
 
     const chart = r.json;
-    let market_chart = null;
-    if (chart.market_chart?.data_points)            market_chart = chart.market_chart;
-    else if (chart.data_points)                     market_chart = chart;
-    else if (chart.data?.market_chart?.data_points) market_chart = chart.data.market_chart;
+    const market_chart = extractMarketChart(chart);
 
     if (!market_chart) {
       return res.status(502).json({ error: "unexpected_upstream_shape", keys: Object.keys(chart || {}) });
@@ -605,15 +515,13 @@ app.get("/api/delphi-chart", async (req, res) => {
     const response = {
       market_id: marketId,
       timeframe,
-      fetched_at: new Date().toISOString(),
+      fetched_at: r.fetched_at,
+      stale: !!r.stale,
       market_chart,
       entry_map: entryMap,
-      entry_map_source: "confirmed_config",
+      entry_map_source: config ? config.entryMapSource : "dynamic_discovery",
     };
 
-    delphiChartCache = response;
-    delphiChartCacheTime = now;
-
     res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
     res.setHeader("Pragma", "no-cache");
     res.setHeader("Expires", "0");
@@ -624,40 +532,60 @@ app.get("/api/delphi-chart", async (req, res) => {
 });
 
 // ─── Human belief ─────────────────────────────────────────────────────────────
-app.get("/api/human-belief", async (req, res) => {
-  try {
-    const live = await detectLiveMarket();
-    const marketId   = live.market_id;
-    const entryMap   = live.entryMap;
-    const modelCount = Object.keys(entryMap).length;
+async function fetchHumanBeliefRaw(market) {
+  const marketId   = market.marketId;
+  const entryMap   = market.entryMap;
+  const modelCount = Object.keys(entryMap).length;
 
-    const now = Date.now();
-    // Invalidate cache if the market has changed
-    if (humanBeliefCache && humanBeliefCache.market_id !== marketId) {
-      humanBeliefCache = null;
-      humanBeliefCacheTime = 0;
-    }
-    if (humanBeliefCache && now - humanBeliefCacheTime < HUMAN_BELIEF_CACHE_MS) return res.json(humanBeliefCache);
+  const results    = await Promise.all(
+    Array.from({ length: modelCount }, (_, i) => delphi.evals(marketId, i))
+  );
+  const raw        = results.map((r) => r.json);
+  const modelNames = Array.from({ length: modelCount }, (_, i) => entryMap[String(i)] || `Entry #${i}`);
+
+  return {
+    market_id:   marketId,
+    market_name: market.name,
+    status:      market.status,
+    fetched_at:  new Date().toISOString(),
+    stale:       results.some((r) => r.stale),
+    model_names: modelNames,
+    raw,
+  };
+}
 
-    const evalTasks = Array.from({ length: modelCount }, (_, i) =>
-      fetchJsonWithTimeout(`https://delphi.gensyn.ai/api/markets/${marketId}/evals?modelIdx=${i}`)
+app.get("/api/human-belief", async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const mcOpts = monteCarloOptionsFromQuery(req.query);
+    if (mcOpts.error) return res.status(400).json(mcOpts.error);
+
+    const marketId = await requestedMarketId(req);
+    const market = await findMarket(marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: marketId });
+    const base = await fetchHumanBeliefRaw(market);
+
+    const { perModel } = buildPerModel(
+      base.raw.map((json, i) => ({ modelIdx: String(i), ok: !!json, json })),
+      market.entryMap
     );
-    const settled    = await Promise.allSettled(evalTasks);
-    const raw        = settled.map((s) => (s.status === "fulfilled" ? s.value.json : null));
-    const modelNames = Array.from({ length: modelCount }, (_, i) => entryMap[String(i)] || `Entry #${i}`);
+    const beliefs = computeBeliefs(perModel, beliefOpts);
+    const { predictedWinner, topBelief } = pickLeader(beliefs);
 
     const payload = {
-      market_id:   marketId,
-      market_name: live.market_name,
-      status:      live.status,
-      fetched_at:  new Date().toISOString(),
-      model_names: modelNames,
-      raw,
+      ...base,
+      belief_model:     beliefOpts.model,
+      temperature:      beliefOpts.temperature,
+      beliefs,
+      predicted_winner: predictedWinner,
+      top_belief:       topBelief,
+      belief_history:   computeBeliefHistory(perModel, beliefOpts),
+      win_probabilities: winProbabilityCache.get(market.marketId, perModel, beliefOpts, mcOpts),
+      model_meta:       modelMeta(base.model_names),
+      gap_threshold:    GAP_THRESHOLD,
     };
 
-    humanBeliefCache     = payload;
-    humanBeliefCacheTime = now;
-
     res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
     res.setHeader("Pragma", "no-cache");
     res.setHeader("Expires", "0");
@@ -667,12 +595,27 @@ app.get("/api/human-belief", async (req, res) => {
   }
 });
 
+// ─── Belief models ────────────────────────────────────────────────────────────
+// Lists the strategies accepted by `belief_model` on the belief endpoints.
+app.get("/api/belief-models", (req, res) => {
+  res.json({
+    default: DEFAULT_BELIEF_MODEL,
+    models: Object.entries(BELIEF_MODELS).map(([id, m]) => ({
+      id,
+      label: m.label,
+      description: m.description,
+      default_temperature: m.defaultTemperature,
+    })),
+  });
+});
+
 // ─── Live market endpoint (auto-detects current market) ──────────────────────
 // The frontend calls this first on load to know which market to display.
-// Returns ongoing market if one exists, otherwise latest settled market.
+// Returns the newest ongoing market if one exists, otherwise latest settled
+// market. live_count says how many markets are live (see /api/live-markets).
 app.get("/api/live-market", async (req, res) => {
   try {
-    const live = await detectLiveMarket();
+    const [live, liveMarkets] = await Promise.all([detectLiveMarket(), detectLiveMarkets()]);
     res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
     res.json({
       market_id: live.market_id,
@@ -682,6 +625,7 @@ app.get("/api/live-market", async (req, res) => {
       entry_map: live.entryMap,
       entry_count: Object.keys(live.entryMap).length,
       is_known_market: live.isKnown,
+      live_count: liveMarkets.length,
       fetched_at: new Date().toISOString(),
     });
   } catch (e) {
@@ -689,24 +633,1487 @@ app.get("/api/live-market", async (req, res) => {
   }
 });
 
-// ─── Health ───────────────────────────────────────────────────────────────────
-app.get("/api/health", (req, res) => res.json({ ok: true, node: process.version }));
+// ─── Market summary ───────────────────────────────────────────────────────────
+// Leader, top belief, the largest belief-vs-price gap and a ranking row per
+// model for one market (findMarket() shape); settled markets add the winner
+// and whether the leader called it. Shared by /api/live-markets, the badges
+// and the embed widget.
+async function marketSummary(market, beliefOpts) {
+  const { marketId, entryMap } = market;
+  const [prediction, chartRes] = await Promise.all([
+    computeMarketPrediction(marketId, entryMap, beliefOpts),
+    delphi.chart(marketId),
+  ]);
+  const series = chartSeries(extractMarketChart(chartRes.json)?.data_points || [], entryMap);
+  const latest = series[series.length - 1] || null;
+  const signals = computeSignals(prediction.beliefs, latest?.prices || {});
+  const [gapModel, gap] = Object.entries(signals).sort((a, b) => Math.abs(b[1].gap) - Math.abs(a[1].gap))[0] || [];
+  const leader = prediction.evalCount ? prediction.predictedWinner : null;
+
+  let winner = null;
+  if (market.status === "closed") {
+    const record = marketRegistry.get(marketId);
+    const { actualWinner } = await resolveWinnerFromChart(marketId, entryMap, record?.confirmedWinner, record?.winnerSource);
+    winner = actualWinner && actualWinner !== "TBD" ? actualWinner : null;
+  }
 
-app.listen(PORT, () => {
-  console.log(`\n✅ Delphi Beliefs Dashboard Started`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`📊 Main Dashboard:     http://localhost:${PORT}`);
-  console.log(`🔬 Settled Markets:    http://localhost:${PORT}/settled-markets`);
-  console.log(`🩺 Upstream Test:      http://localhost:${PORT}/api/test-upstream`);
-  console.log(`🐛 Debug Markets:      http://localhost:${PORT}/api/debug-markets`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`\n📋 Markets (oldest → newest):`);
-  for (const id of MARKET_ORDER) {
-    const c = MARKET_CONFIG[id];
-    console.log(`   #${c.displayNum} [API:${id}] ${c.name}`);
-    console.log(`         Closed:  ${c.closedDate}`);
-    console.log(`         Winner:  ${c.confirmedWinner}`);
-    console.log(`         Models:  ${Object.values(c.entryMap).join(", ")}`);
-  }
-  console.log();
+  return {
+    market_id: marketId,
+    market_name: market.name,
+    status: market.status,
+    url: `/markets/${encodeURIComponent(marketId)}`,
+    model_count: Object.keys(entryMap).length,
+    eval_count: prediction.evalCount,
+    leader,
+    top_belief: leader ? +prediction.topBelief.toFixed(2) : null,
+    largest_gap: gap ? { model: gapModel, ...gap, belief: +gap.belief.toFixed(2) } : null,
+    winner,
+    correct: winner && leader ? normalizeName(winner) === normalizeName(leader) : null,
+    price_ts: latest?.ts ?? null,
+    stale: prediction.stale || !!chartRes.stale,
+    models: prediction.rankings.map(r => ({
+      model: r.model,
+      model_idx: r.modelIdx,
+      avg_score: Number.isFinite(r.avgScore) ? +r.avgScore.toFixed(2) : null,
+      belief: +r.belief.toFixed(2),
+      price: signals[r.model]?.price ?? null,
+      gap: signals[r.model]?.gap ?? null,
+      signal: signals[r.model]?.signal ?? null,
+    })),
+  };
+}
+
+// ─── Live market overview ─────────────────────────────────────────────────────
+// Every live market at once, newest first: leader, top belief, the largest
+// belief-vs-price gap and eval count, for the /live overview. Empty when
+// nothing is live (no settled fallback here).
+app.get("/api/live-markets", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const liveMarkets = await detectLiveMarkets();
+    const markets = await Promise.all(liveMarkets.map(async live => {
+      const market = { marketId: String(live.market_id), name: live.market_name, status: live.status, entryMap: live.entryMap };
+      const { models, winner, correct, ...summary } = await marketSummary(market, beliefOpts);
+      return { ...summary, created_ts: live.created_ts ?? null };
+    }));
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      count: markets.length,
+      markets,
+      fetched_at: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Badges & embed ───────────────────────────────────────────────────────────
+// Shareable views of the server-side beliefs: SVG badges for chats and docs
+// (lib/badge.js) and a compact ranking + gap widget to iframe, at
+// /embed/:marketId, which reads /api/markets/:id/summary. All take
+// ?theme=dark|light and ?belief_model=. Unlike the dashboard's endpoints these
+// are publicly cacheable: a minute while a market is live, an hour once it
+// has settled.
+const SHARE_CACHE_CONTROL = {
+  ongoing: "public, max-age=60",
+  closed: "public, max-age=3600",
+  history: "public, max-age=600",
+  page: "public, max-age=300",
+};
+
+app.get("/api/markets/:marketId/summary", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const market = await findMarket(req.params.marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: req.params.marketId });
+
+    const summary = await marketSummary(market, beliefOpts);
+    res.setHeader("Cache-Control", SHARE_CACHE_CONTROL[market.status] || SHARE_CACHE_CONTROL.ongoing);
+    res.json({ belief_model: beliefOpts.model, temperature: beliefOpts.temperature, ...summary });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// Before /badge/:marketId.svg, which would otherwise take "history" as an id
+app.get("/badge/history.svg", apiLimiter, fanoutLimiter, async (req, res) => {
+  try {
+    const { theme, error } = themeFromQuery(req.query);
+    if (error) return res.status(400).json(error);
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+
+    const analysis = await historicalAnalysis(beliefOpts, monteCarloOptionsFromQuery({}));
+    const markets = analysis.markets
+      .filter(m => !m.error)
+      .map(m => ({ display_num: m.displayNum, correct: m.correct }));
+    res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+    res.setHeader("Cache-Control", SHARE_CACHE_CONTROL.history);
+    res.send(historyBadge({
+      markets,
+      correct: analysis.correctPredictions,
+      total: analysis.totalMarkets,
+      win_rate: analysis.winRate,
+    }, theme));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+app.get("/badge/:marketId.svg", apiLimiter, fanoutLimiter, async (req, res) => {
+  try {
+    const { theme, error } = themeFromQuery(req.query);
+    if (error) return res.status(400).json(error);
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const market = await findMarket(req.params.marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: req.params.marketId });
+
+    const summary = await marketSummary(market, beliefOpts);
+    const leader = summary.models.find(m => m.model === summary.leader);
+    res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+    res.setHeader("Cache-Control", SHARE_CACHE_CONTROL[market.status] || SHARE_CACHE_CONTROL.ongoing);
+    res.send(marketBadge({ ...summary, signal: leader?.signal ?? null, gap: leader?.gap ?? null }, theme));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// The page reads the market id and theme from its own URL
+app.get("/embed/:marketId", (req, res) => {
+  const { error } = themeFromQuery(req.query);
+  if (error) return res.status(400).json(error);
+  res.setHeader("Cache-Control", SHARE_CACHE_CONTROL.page);
+  res.sendFile(path.join(__dirname, "public", "embed.html"));
+});
+
+// ─── Market list ──────────────────────────────────────────────────────────────
+// Every market the dashboard can open at /markets/:id — live ones first
+// (newest first), then settled markets newest first.
+app.get("/api/markets", async (req, res) => {
+  try {
+    const liveMarkets = await detectLiveMarkets();
+    const liveIds = liveMarkets.map(m => String(m.market_id));
+    await marketRegistry.ensureFresh();
+    const markets = marketRegistry.list()
+      .filter(m => !liveIds.includes(m.marketId))
+      .reverse()
+      .map(m => ({
+        market_id: m.marketId,
+        name: m.name,
+        status: "closed",
+        is_live: false,
+        display_num: m.displayNum,
+        closed_date: m.closedDate,
+        winner: m.confirmedWinner || null,
+        winner_source: m.confirmedWinner ? m.winnerSource : null,
+        entry_count: Object.keys(m.entryMap).length,
+      }));
+    markets.unshift(...liveMarkets.map(live => ({
+      market_id: String(live.market_id),
+      name: live.market_name,
+      status: live.status,
+      is_live: true,
+      display_num: null,
+      closed_date: null,
+      winner: null,
+      winner_source: null,
+      entry_count: Object.keys(live.entryMap).length,
+    })));
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({ live_market_id: liveIds[0] ?? null, live_market_ids: liveIds, markets });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Benchmark breakdown ──────────────────────────────────────────────────────
+// Model × benchmark matrix for one market, with per-benchmark rankings and
+// which benchmarks carry the lead.
+app.get("/api/markets/:marketId/benchmarks", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+
+    const market = await findMarket(req.params.marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: req.params.marketId });
+
+    const { perModel, evalCount, rankings, stale } =
+      await computeMarketPrediction(market.marketId, market.entryMap, beliefOpts);
+    const breakdown = benchmarkBreakdown(perModel, {
+      leader: rankings[0]?.belief > 0 ? rankings[0].model : null,
+      runnerUp: rankings[1]?.belief > 0 ? rankings[1].model : null,
+    });
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      market_id: market.marketId,
+      market_name: market.name,
+      status: market.status,
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      eval_count: evalCount,
+      stale,
+      ...breakdown,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Head-to-head ─────────────────────────────────────────────────────────────
+// Pairwise win matrix for one market, with how each pair fared in settled
+// markets (see lib/head-to-head.js).
+app.get("/api/markets/:marketId/head-to-head", fanoutLimiter, async (req, res) => {
+  try {
+    const market = await findMarket(req.params.marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: req.params.marketId });
+
+    const { perModel, evalCount, stale } = await computeMarketPrediction(market.marketId, market.entryMap);
+    await marketRegistry.ensureFresh();
+    const winner = market.status === "closed" ? marketRegistry.get(market.marketId)?.confirmedWinner || null : null;
+    const settled = marketRegistry.list()
+      .filter(m => m.marketId !== market.marketId)
+      .map(m => ({ marketId: m.marketId, models: Object.values(m.entryMap), winner: m.confirmedWinner }));
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      market_id: market.marketId,
+      market_name: market.name,
+      status: market.status,
+      eval_count: evalCount,
+      winner,
+      stale,
+      ...addOutcomes(headToHead(perModel), winner, settled),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Position sizing ──────────────────────────────────────────────────────────
+// EV and a fractional-Kelly stake per entry from belief vs the latest chart
+// price (see lib/sizing.js). Off (enabled: false) once the market has settled,
+// and until there is both an eval and a price to size from.
+app.get("/api/markets/:marketId/sizing", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const { sizing, error } = sizingFromQuery(req.query);
+    if (error) return res.status(400).json(error);
+
+    const market = await findMarket(req.params.marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: req.params.marketId });
+
+    const base = {
+      market_id: market.marketId,
+      market_name: market.name,
+      status: market.status,
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      bankroll: sizing.bankroll,
+      kelly_fraction: sizing.kellyFraction,
+      threshold: sizing.threshold,
+      max_stake_pct: sizing.maxStakePct,
+    };
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    if (market.status !== "ongoing") {
+      return res.json({ ...base, enabled: false, reason: "market_settled", models: [], summary: null });
+    }
+
+    const [prediction, chartRes] = await Promise.all([
+      computeMarketPrediction(market.marketId, market.entryMap, beliefOpts),
+      delphi.chart(market.marketId),
+    ]);
+    const series = chartSeries(extractMarketChart(chartRes.json)?.data_points || [], market.entryMap);
+    const latest = series[series.length - 1] || null;
+    const stale = prediction.stale || !!chartRes.stale;
+
+    const reason = prediction.evalCount === 0 ? "no_evals" : !latest ? "no_prices" : null;
+    if (reason) return res.json({ ...base, stale, enabled: false, reason, models: [], summary: null });
+
+    res.json({
+      ...base,
+      stale,
+      enabled: true,
+      eval_count: prediction.evalCount,
+      price_ts: latest.ts,
+      ...computeSizing(prediction.beliefs, latest.prices, sizing),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Next-eval simulator ───────────────────────────────────────────────────────
+// Belief, ranking and gap signals if the next eval came out a given way, and
+// the score each model needs to take the lead (see lib/simulate.js).
+app.get("/api/markets/:marketId/simulate", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+
+    const market = await findMarket(req.params.marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: req.params.marketId });
+    const { scenario, error } = scenarioFromQuery(req.query, market.entryMap);
+    if (error) return res.status(400).json(error);
+
+    const [prediction, chartRes] = await Promise.all([
+      computeMarketPrediction(market.marketId, market.entryMap, beliefOpts),
+      delphi.chart(market.marketId),
+    ]);
+    const series = chartSeries(extractMarketChart(chartRes.json)?.data_points || [], market.entryMap);
+    const latest = series[series.length - 1] || null;
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      market_id: market.marketId,
+      market_name: market.name,
+      status: market.status,
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      stale: prediction.stale || !!chartRes.stale,
+      eval_count: prediction.evalCount,
+      simulated_eval: prediction.evalCount + 1,
+      price_ts: latest?.ts ?? null,
+      ...simulateNextEval(prediction.perModel, market.entryMap, scenario, beliefOpts, latest?.prices || {}),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Backtest ─────────────────────────────────────────────────────────────────
+// Replays settled markets' chart data against eval arrival and trades the
+// gap signal (see lib/backtest.js).
+
+// Stored chart points plus whatever upstream still serves, deduped by timestamp
+async function marketDataPoints(marketId) {
+  const [chartRes, stored] = await Promise.all([
+    delphi.chart(marketId),
+    snapshotStore.query(marketId),
+  ]);
+  const dataPoints = mergeDataPoints(stored.data_points, extractMarketChart(chartRes.json)?.data_points);
+  return { dataPoints, stale: !!chartRes.stale, storedEvals: stored.evals };
+}
+
+async function backtestSettledMarket(market, beliefOpts, strategy) {
+  const { marketId, name, displayNum, entryMap, confirmedWinner, winnerSource } = market;
+  const [{ perModel, evalCount, stale: evalsStale }, { dataPoints, stale: chartStale, storedEvals }] = await Promise.all([
+    computeMarketPrediction(marketId, entryMap, beliefOpts),
+    marketDataPoints(marketId),
+  ]);
+  const { actualWinner, source } = await resolveWinnerFromChart(marketId, entryMap, confirmedWinner, winnerSource);
+  const { winner, ...result } = replaySettledMarket({
+    perModel, evalCount, entryMap, actualWinner, dataPoints, storedEvals, beliefOpts, strategy,
+  });
+  return {
+    market_id: marketId,
+    display_num: displayNum,
+    market_name: name,
+    winner,
+    winner_source: source,
+    eval_count: evalCount,
+    data_point_count: dataPoints.length,
+    stale: evalsStale || chartStale,
+    ...result,
+  };
+}
+
+app.get("/api/backtest", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const { strategy, error } = strategyFromQuery(req.query);
+    if (error) return res.status(400).json(error);
+
+    await marketRegistry.ensureFresh();
+    let markets = marketRegistry.list();
+    if (req.query.market_id !== undefined) {
+      markets = markets.filter(m => m.marketId === String(req.query.market_id));
+      if (markets.length === 0) {
+        return res.status(404).json({ error: "unknown_market", market_id: String(req.query.market_id) });
+      }
+    }
+
+    const results = [];
+    for (const market of markets) {
+      try {
+        results.push(await backtestSettledMarket(market, beliefOpts, strategy));
+      } catch (e) {
+        createLogger("backtest").error("Market failed", { market_id: market.marketId, error: e });
+        results.push({ market_id: market.marketId, display_num: market.displayNum, market_name: market.name, error: e.message });
+      }
+    }
+
+    res.json({
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      strategy: {
+        threshold: strategy.threshold,
+        exit: strategy.exit,
+        exit_threshold: strategy.exitThreshold,
+        stake: strategy.stake,
+        side: strategy.side,
+      },
+      stale: results.some(r => r.stale),
+      aggregate: { markets: results.filter(r => !r.error).length, ...aggregateBacktests(results.filter(r => !r.error)) },
+      markets: results,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Calibration ──────────────────────────────────────────────────────────────
+// Scores final belief and market price as forecasters on every settled market.
+
+const PRICE_AT = ["final", "last_eval"];
+
+// model name → price on the last chart point at or before `untilMs`
+function pricesBefore(dataPoints, entryMap, untilMs = Infinity) {
+  const point = chartSeries(dataPoints, entryMap).findLast(p => p.ts <= untilMs);
+  return { prices: point?.prices || {}, ts: point?.ts ?? null };
+}
+
+async function calibrateSettledMarket(market, beliefOpts, priceAt) {
+  const { marketId, name, displayNum, entryMap, confirmedWinner, winnerSource } = market;
+  const [{ perModel, beliefs, evalCount, stale: evalsStale }, { dataPoints, stale: chartStale, storedEvals }] = await Promise.all([
+    computeMarketPrediction(marketId, entryMap, beliefOpts),
+    marketDataPoints(marketId),
+  ]);
+  const { actualWinner } = await resolveWinnerFromChart(marketId, entryMap, confirmedWinner, winnerSource);
+  const base = { market_id: marketId, display_num: displayNum, market_name: name, eval_count: evalCount, stale: evalsStale || chartStale };
+
+  const winner = Object.values(entryMap).find(m => normalizeName(m) === normalizeName(actualWinner));
+  if (!winner) return { ...base, winner: null, error: "winner_unknown" };
+
+  let untilMs = Infinity;
+  if (priceAt === "last_eval" && evalCount > 0) {
+    untilMs = evalArrivalTimes(perModel, evalCount, storedEvals, dataPoints).times[evalCount] ?? Infinity;
+  }
+  const { prices, ts } = pricesBefore(dataPoints, entryMap, untilMs);
+
+  const beliefProbs = normalizeForecast(beliefs);
+  const marketProbs = normalizeForecast(prices);
+  const has = probs => Object.keys(probs).length > 0;
+  return {
+    ...base,
+    winner,
+    price_ts: ts,
+    belief: has(beliefProbs) ? { forecast: beliefProbs, ...scoreForecast(beliefProbs, winner) } : null,
+    market: has(marketProbs) ? { forecast: marketProbs, ...scoreForecast(marketProbs, winner) } : null,
+  };
+}
+
+app.get("/api/calibration", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const priceAt = req.query.price_at === undefined ? "final" : String(req.query.price_at);
+    if (!PRICE_AT.includes(priceAt)) {
+      return res.status(400).json({ error: "invalid_price_at", price_at: priceAt, allowed: PRICE_AT });
+    }
+    const buckets = req.query.buckets === undefined ? 10 : Number(req.query.buckets);
+    if (!Number.isInteger(buckets) || buckets < 2 || buckets > 50) {
+      return res.status(400).json({ error: "invalid_buckets", buckets: String(req.query.buckets) });
+    }
+
+    await marketRegistry.ensureFresh();
+    const markets = [];
+    for (const market of marketRegistry.list()) {
+      try {
+        markets.push(await calibrateSettledMarket(market, beliefOpts, priceAt));
+      } catch (e) {
+        createLogger("calibration").error("Market failed", { market_id: market.marketId, error: e });
+        markets.push({ market_id: market.marketId, display_num: market.displayNum, market_name: market.name, error: e.message });
+      }
+    }
+
+    const scored = markets
+      .filter(m => !m.error)
+      .map(m => ({ winner: m.winner, belief: m.belief?.forecast || null, market: m.market?.forecast || null }));
+
+    res.json({
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      price_at: priceAt,
+      buckets,
+      stale: markets.some(m => m.stale),
+      ...calibrationSummary(scored, buckets),
+      markets,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Early signal ─────────────────────────────────────────────────────────────
+// Predicted winner after each eval on every settled market: how early the
+// belief system found the winner and when the leader last changed.
+
+async function earlySignalSettledMarket(market, beliefOpts) {
+  const { marketId, name, displayNum, entryMap, confirmedWinner, winnerSource } = market;
+  const [{ perModel, evalCount, stale: evalsStale }, { dataPoints, stale: chartStale, storedEvals }] = await Promise.all([
+    computeMarketPrediction(marketId, entryMap, beliefOpts),
+    marketDataPoints(marketId),
+  ]);
+  const { actualWinner } = await resolveWinnerFromChart(marketId, entryMap, confirmedWinner, winnerSource);
+  const base = { market_id: marketId, display_num: displayNum, market_name: name, stale: evalsStale || chartStale };
+
+  const winner = Object.values(entryMap).find(m => normalizeName(m) === normalizeName(actualWinner));
+  if (!winner) return { ...base, winner: null, eval_count: evalCount, error: "winner_unknown" };
+  if (evalCount === 0) return { ...base, winner, eval_count: 0, error: "no_eval_data" };
+
+  const { times, counts } = evalArrivalTimes(perModel, evalCount, storedEvals, dataPoints);
+  const result = earlySignalMarket(computeBeliefHistory(perModel, beliefOpts), winner, times);
+  return { ...base, winner, eval_timing: counts, ...result };
+}
+
+app.get("/api/early-signal", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+
+    await marketRegistry.ensureFresh();
+    const markets = [];
+    for (const market of marketRegistry.list()) {
+      try {
+        markets.push(await earlySignalSettledMarket(market, beliefOpts));
+      } catch (e) {
+        createLogger("early-signal").error("Market failed", { market_id: market.marketId, error: e });
+        markets.push({ market_id: market.marketId, display_num: market.displayNum, market_name: market.name, error: e.message });
+      }
+    }
+
+    res.json({
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      stale: markets.some(m => m.stale),
+      ...earlySignalSummary(markets.filter(m => !m.error)),
+      markets,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Timeline ─────────────────────────────────────────────────────────────────
+// Eval arrivals and chart prices on one wall-clock axis, plus how each entry's
+// price moved in the `window` minutes after each eval dropped.
+
+const DEFAULT_TIMELINE_WINDOW_MIN = 30;
+
+app.get("/api/markets/:marketId/timeline", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const windowMin = req.query.window === undefined ? DEFAULT_TIMELINE_WINDOW_MIN : Number(req.query.window);
+    if (!Number.isFinite(windowMin) || windowMin <= 0 || windowMin > 1440) {
+      return res.status(400).json({ error: "invalid_window", window: String(req.query.window) });
+    }
+
+    const market = await findMarket(req.params.marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: req.params.marketId });
+
+    const [{ perModel, evalCount, stale: evalsStale }, { dataPoints, stale: chartStale, storedEvals }] = await Promise.all([
+      computeMarketPrediction(market.marketId, market.entryMap, beliefOpts),
+      marketDataPoints(market.marketId),
+    ]);
+    const prices = chartSeries(dataPoints, market.entryMap);
+    const { times, sources, counts } = evalArrivalTimes(perModel, evalCount, storedEvals, dataPoints);
+    const lastPriceTs = prices.length ? prices[prices.length - 1].ts : null;
+    const windowMs = windowMin * 60000;
+
+    let prevBeliefs = null;
+    const evals = computeBeliefHistory(perModel, beliefOpts).map(h => {
+      const ts = times[h.eval] ?? null;
+      const before = ts !== null ? prices.findLast(p => p.ts <= ts) : null;
+      const after = ts !== null ? prices.findLast(p => p.ts <= ts + windowMs) : null;
+      const complete = ts !== null && lastPriceTs !== null && lastPriceTs >= ts + windowMs;
+
+      const scores = {};
+      const benchmarks = {};
+      for (const [model, obj] of Object.entries(perModel)) {
+        const e = obj.evalsRaw[h.eval - 1];
+        if (!e) continue;
+        scores[model] = typeof e.aggregate === "number" ? e.aggregate : null;
+        if (e.benchmark) benchmarks[model] = String(e.benchmark);
+      }
+
+      // Price moves in percentage points, same units as the beliefs
+      const priceMove = {};
+      for (const model of Object.keys(before?.prices || {})) {
+        const a = after?.prices?.[model];
+        priceMove[model] = typeof a === "number" ? (a - before.prices[model]) * 100 : null;
+      }
+      const beliefChange = {};
+      for (const [model, b] of Object.entries(h.beliefs)) {
+        beliefChange[model] = prevBeliefs ? b - (prevBeliefs[model] || 0) : null;
+      }
+      prevBeliefs = h.beliefs;
+
+      return {
+        eval: h.eval,
+        ts,
+        time_source: sources[h.eval] || null,
+        scores,
+        benchmarks,
+        beliefs: h.beliefs,
+        leader: pickLeader(h.beliefs).predictedWinner,
+        belief_change: beliefChange,
+        price_before: before?.prices || null,
+        price_after: complete ? after.prices : null,
+        price_move: complete ? priceMove : null,
+        window_complete: complete,
+      };
+    });
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      market_id: market.marketId,
+      market_name: market.name,
+      status: market.status,
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      window_minutes: windowMin,
+      stale: evalsStale || chartStale,
+      models: Object.keys(perModel),
+      eval_timing: counts,
+      evals,
+      prices,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Price stats ──────────────────────────────────────────────────────────────
+// Volatility, momentum, drawdown, largest move and time as favourite per entry
+// over a trailing ?window= (see lib/price-stats.js). Uses stored snapshots as
+// well as the live chart, like the timeline.
+app.get("/api/markets/:marketId/price-stats", fanoutLimiter, async (req, res) => {
+  try {
+    const { windowMs, label, error } = windowFromQuery(req.query);
+    if (error) return res.status(400).json(error);
+
+    const market = await findMarket(req.params.marketId);
+    if (!market) return res.status(404).json({ error: "unknown_market", market_id: req.params.marketId });
+
+    const { dataPoints, stale } = await marketDataPoints(market.marketId);
+    const series = chartSeries(dataPoints, market.entryMap);
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      market_id: market.marketId,
+      market_name: market.name,
+      status: market.status,
+      window: label,
+      stale,
+      ...priceStats(series, Object.values(market.entryMap), windowMs),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Model registry ───────────────────────────────────────────────────────────
+// One record per model across every market (see lib/model-registry.js), with
+// the model's row in each market it entered.
+
+// Every market entry as a row: scores, belief, final price and outcome.
+// The live market is included while ongoing; won is null until it settles.
+async function modelMarketRows(beliefOpts) {
+  const cacheKey = `${beliefOpts.model}:${beliefOpts.temperature}`;
+  const cached = modelCareerCache[cacheKey];
+  if (cached && Date.now() - cached.time < MODEL_CAREER_CACHE_MS) {
+    cacheRequests.inc({ cache: "model_career", result: "hit" });
+    return cached.rows;
+  }
+  cacheRequests.inc({ cache: "model_career", result: "miss" });
+
+  const liveMarkets = await detectLiveMarkets();
+  await marketRegistry.ensureFresh();
+  const markets = marketRegistry.list().map(m => ({ ...m, status: "closed" }));
+  for (const live of liveMarkets) {
+    if (markets.some(m => m.marketId === String(live.market_id))) continue;
+    markets.push({ marketId: String(live.market_id), name: live.market_name, entryMap: live.entryMap, status: "ongoing" });
+  }
+
+  const rows = [];
+  let stale = false;
+  for (const market of markets) {
+    const { marketId, name, displayNum, closedDate, entryMap, confirmedWinner, winnerSource, status } = market;
+    const [prediction, { dataPoints, stale: chartStale }] = await Promise.all([
+      computeMarketPrediction(marketId, entryMap, beliefOpts),
+      marketDataPoints(marketId),
+    ]);
+    stale = stale || prediction.stale || chartStale;
+    const { perModel, rankings, predictedWinner, evalCount } = prediction;
+    const winner = status === "ongoing"
+      ? null
+      : (await resolveWinnerFromChart(marketId, entryMap, confirmedWinner, winnerSource)).actualWinner;
+    const series = chartSeries(dataPoints, entryMap);
+    const finalPrices = series.length ? series[series.length - 1].prices : {};
+    const priceOrder = Object.keys(finalPrices).sort((a, b) => finalPrices[b] - finalPrices[a]);
+    const matrix = benchmarkMatrix(perModel);
+
+    rankings.forEach((r, i) => {
+      const scores = r.perEvalAggregates;
+      rows.push({
+        model_id: resolveModel(r.model).id,
+        name_in_market: r.model,
+        market_id: marketId,
+        market_name: name,
+        display_num: displayNum ?? null,
+        status,
+        closed_date: closedDate ?? null,
+        entry_idx: r.modelIdx,
+        field_size: rankings.length,
+        eval_count: scores.length,
+        avg_score: scores.length ? r.avgScore : null,
+        scores,
+        benchmarks: Object.fromEntries(
+          Object.entries(matrix).filter(([, byModel]) => r.model in byModel).map(([bench, byModel]) => [bench, byModel[r.model]])
+        ),
+        // No evals → no belief ordering to speak of
+        belief: evalCount ? r.belief : null,
+        belief_rank: evalCount ? i + 1 : null,
+        predicted: r.model === predictedWinner,
+        final_price: finalPrices[r.model] ?? null,
+        price_rank: finalPrices[r.model] !== undefined ? priceOrder.indexOf(r.model) + 1 : null,
+        won: winner && winner !== "TBD" ? normalizeName(r.model) === normalizeName(winner) : null,
+      });
+    });
+  }
+
+  // A stale result is served but not cached, so the next request retries upstream
+  if (!stale) modelCareerCache[cacheKey] = { rows, time: Date.now() };
+  return rows;
+}
+
+function careerStats(rows) {
+  const avg = list => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+  const settled = rows.filter(r => r.won !== null);
+  const wins = settled.filter(r => r.won).length;
+  const ranks = rows.map(r => r.belief_rank).filter(v => v !== null);
+  return {
+    markets: rows.length,
+    settled: settled.length,
+    wins,
+    win_rate: settled.length ? wins / settled.length : null,
+    predicted: rows.filter(r => r.predicted).length,
+    avg_score: avg(rows.map(r => r.avg_score).filter(v => v !== null)),
+    avg_belief: avg(rows.map(r => r.belief).filter(v => v !== null)),
+    avg_final_price: avg(rows.map(r => r.final_price).filter(v => v !== null)),
+    best_belief_rank: ranks.length ? Math.min(...ranks) : null,
+  };
+}
+
+function modelRecord(model) {
+  const { known, ...rest } = model;
+  return { ...rest, in_catalog: known };
+}
+
+// Catalog models plus any model seen in a market, each with career totals
+app.get("/api/models", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+
+    const rows = await modelMarketRows(beliefOpts);
+    const byId = new Map(MODEL_CATALOG.map(m => [m.id, { model: resolveModel(m.id), rows: [] }]));
+    for (const row of rows) {
+      if (!byId.has(row.model_id)) byId.set(row.model_id, { model: resolveModel(row.name_in_market), rows: [] });
+      byId.get(row.model_id).rows.push(row);
+    }
+
+    const models = [...byId.values()]
+      .map(({ model, rows }) => ({
+        ...modelRecord(model),
+        market_ids: rows.map(r => r.market_id),
+        career: careerStats(rows),
+      }))
+      .sort((a, b) => b.career.wins - a.career.wins || b.career.markets - a.career.markets || a.name.localeCompare(b.name));
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({ belief_model: beliefOpts.model, temperature: beliefOpts.temperature, models });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// :modelId is a canonical id or any alias (URL-encode names with a slash)
+app.get("/api/models/:modelId", fanoutLimiter, async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+
+    const model = resolveModel(req.params.modelId);
+    const rows = (await modelMarketRows(beliefOpts))
+      .filter(r => r.model_id === model.id)
+      .map(({ model_id, ...row }) => row);
+    if (!model.known && rows.length === 0) {
+      return res.status(404).json({ error: "unknown_model", model_id: req.params.modelId });
+    }
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      ...modelRecord(model),
+      belief_model: beliefOpts.model,
+      temperature: beliefOpts.temperature,
+      career: careerStats(rows),
+      markets: rows,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+// Flat CSV / NDJSON downloads (see lib/export.js for the column lists).
+// All take format=csv|ndjson, market_id (one id or a comma list, default every
+// known market) and from/to (ISO date or epoch).
+
+function exportRange(query) {
+  const from = parseTimeParam(query.from);
+  const to = parseTimeParam(query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: { error: "invalid_time_range", from: query.from, to: query.to } };
+  }
+  return { from: from ?? -Infinity, to: to ?? Infinity, filtered: from !== undefined || to !== undefined };
+}
+
+function inRange(ms, range) {
+  if (!Number.isFinite(ms)) return !range.filtered;
+  return ms >= range.from && ms <= range.to;
+}
+
+async function exportMarkets(query) {
+  await marketRegistry.ensureFresh();
+  const [live, liveMarkets] = await Promise.all([detectLiveMarket(), detectLiveMarkets()]);
+  const ids = query.market_id
+    ? String(query.market_id).split(",").map(s => s.trim()).filter(Boolean)
+    : [...new Set([
+      ...marketRegistry.list().map(m => String(m.marketId)),
+      ...[...liveMarkets, live].map(m => String(m.market_id)),
+    ])];
+  const markets = [];
+  for (const id of ids) {
+    const market = await findMarket(id);
+    if (!market) return { error: { error: "unknown_market", market_id: id } };
+    markets.push(market);
+  }
+  return { markets };
+}
+
+function exportSuffix(query) {
+  return query.market_id ? `market-${String(query.market_id)}` : null;
+}
+
+// One row per model per eval. evaluated_at is the eval's own upstream timestamp.
+app.get("/api/export/evals", fanoutLimiter, async (req, res) => {
+  try {
+    const { format, error } = formatFromQuery(req.query);
+    if (error) return res.status(400).json(error);
+    const range = exportRange(req.query);
+    if (range.error) return res.status(400).json(range.error);
+    const selected = await exportMarkets(req.query);
+    if (selected.error) return res.status(404).json(selected.error);
+
+    const rows = [];
+    for (const market of selected.markets) {
+      const { perModel } = await computeMarketPrediction(market.marketId, market.entryMap);
+      for (const [model, obj] of Object.entries(perModel)) {
+        obj.evalsRaw.forEach((e, i) => {
+          const key = EVAL_TIME_KEYS.find(k => e?.[k] !== undefined);
+          const ms = key ? parseTimeParam(e[key]) : NaN;
+          if (!inRange(ms, range)) return;
+          rows.push({
+            market_id: market.marketId,
+            market_name: market.name,
+            market_status: market.status,
+            model,
+            entry_idx: obj.modelIdx,
+            eval: i + 1,
+            benchmark: e?.benchmark ?? null,
+            score: typeof e?.aggregate === "number" && Number.isFinite(e.aggregate) ? e.aggregate : null,
+            evaluated_at: Number.isFinite(ms) ? new Date(ms).toISOString() : null,
+          });
+        });
+      }
+    }
+    sendExport(res, { dataset: "evals", rows, format, suffix: exportSuffix(req.query) });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// One row per entry per chart point, stored snapshots included
+app.get("/api/export/prices", fanoutLimiter, async (req, res) => {
+  try {
+    const { format, error } = formatFromQuery(req.query);
+    if (error) return res.status(400).json(error);
+    const range = exportRange(req.query);
+    if (range.error) return res.status(400).json(range.error);
+    const selected = await exportMarkets(req.query);
+    if (selected.error) return res.status(404).json(selected.error);
+
+    const rows = [];
+    for (const market of selected.markets) {
+      const { dataPoints } = await marketDataPoints(market.marketId);
+      const points = dataPoints
+        .map(p => ({ seconds: Number(p.timestamp) || 0, entries: p.entries || [] }))
+        .filter(p => p.seconds > 0 && inRange(p.seconds * 1000, range))
+        .sort((a, b) => a.seconds - b.seconds);
+      for (const { seconds, entries } of points) {
+        for (const e of entries) {
+          const price = parsePrice(e.price);
+          if (!Number.isFinite(price)) continue;
+          rows.push({
+            market_id: market.marketId,
+            market_name: market.name,
+            ts: new Date(seconds * 1000).toISOString(),
+            timestamp: seconds,
+            model: market.entryMap[String(e.entry_idx)] || `Entry #${e.entry_idx}`,
+            entry_idx: String(e.entry_idx),
+            price,
+          });
+        }
+      }
+    }
+    sendExport(res, { dataset: "prices", rows, format, suffix: exportSuffix(req.query) });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// One row per model per settled market: final belief vs outcome.
+// from/to filter on the market's closed date.
+app.get("/api/export/historical", fanoutLimiter, async (req, res) => {
+  try {
+    const { format, error } = formatFromQuery(req.query);
+    if (error) return res.status(400).json(error);
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+    const range = exportRange(req.query);
+    if (range.error) return res.status(400).json(range.error);
+
+    await marketRegistry.ensureFresh();
+    let markets = marketRegistry.list();
+    if (req.query.market_id) {
+      const ids = String(req.query.market_id).split(",").map(s => s.trim()).filter(Boolean);
+      const unknown = ids.find(id => !marketRegistry.get(id));
+      if (unknown) return res.status(404).json({ error: "unknown_market", market_id: unknown });
+      markets = markets.filter(m => ids.includes(String(m.marketId)));
+    }
+
+    const rows = [];
+    for (const market of markets) {
+      if (!inRange(Date.parse(market.closedDate), range)) continue;
+      const { marketId, name, closedDate, entryMap, confirmedWinner, winnerSource } = market;
+      const { rankings, predictedWinner, evalCount } = await computeMarketPrediction(marketId, entryMap, beliefOpts);
+      const { actualWinner } = await resolveWinnerFromChart(marketId, entryMap, confirmedWinner, winnerSource);
+      const winner = actualWinner === "TBD" ? null : actualWinner;
+      const correct = !!predictedWinner && !!winner && normalizeName(predictedWinner) === normalizeName(winner);
+      rankings.forEach((r, i) => {
+        rows.push({
+          market_id: marketId,
+          market_name: name,
+          closed_date: closedDate,
+          belief_model: beliefOpts.model,
+          model: r.model,
+          entry_idx: r.modelIdx,
+          eval_count: r.perEvalAggregates.length || evalCount,
+          avg_score: r.avgScore,
+          belief: r.belief,
+          belief_rank: i + 1,
+          predicted_winner: predictedWinner,
+          actual_winner: winner,
+          is_predicted: r.model === predictedWinner,
+          is_winner: winner ? normalizeName(r.model) === normalizeName(winner) : null,
+          prediction_correct: winner ? correct : null,
+        });
+      });
+    }
+    sendExport(res, { dataset: "historical", rows, format, suffix: exportSuffix(req.query) });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Snapshots ────────────────────────────────────────────────────────────────
+const snapshotLog = createLogger("snapshots");
+
+async function snapshotMarket(marketId, entryMap, status) {
+  const idxKeys = Object.keys(entryMap);
+  const [chartRes, ...evalResults] = await Promise.all([
+    delphi.chart(marketId),
+    ...idxKeys.map(idx => delphi.evals(marketId, idx)),
+  ]);
+
+  // Only record evals when every model answered fresh, otherwise a blip looks like lost evals
+  if (evalResults.every(r => r.ok && !r.stale && Array.isArray(r.json?.evals))) {
+    const evals = {};
+    idxKeys.forEach((idx, i) => { evals[idx] = evalResults[i].json.evals; });
+    await snapshotStore.recordEvals(marketId, {
+      status,
+      modelNames: idxKeys.map(idx => entryMap[idx]),
+      evals,
+    });
+  }
+
+  const chart = chartRes.ok && !chartRes.stale ? extractMarketChart(chartRes.json) : null;
+  if (chart) await snapshotStore.recordPrices(marketId, chart.data_points);
+}
+
+async function pollSnapshots() {
+  const targets = new Map();
+  // Settled markets only need one snapshot; live markets are polled every tick
+  await marketRegistry.ensureFresh();
+  for (const market of marketRegistry.list()) {
+    if (!(await snapshotStore.hasSnapshots(market.marketId))) {
+      targets.set(market.marketId, { entryMap: market.entryMap, status: "closed" });
+    }
+  }
+  const [live, liveMarkets] = await Promise.all([detectLiveMarket(), detectLiveMarkets()]);
+  for (const market of liveMarkets) {
+    targets.set(market.market_id, { entryMap: market.entryMap, status: market.status });
+  }
+  if (!targets.has(live.market_id) && !(await snapshotStore.hasSnapshots(live.market_id))) {
+    targets.set(live.market_id, { entryMap: live.entryMap, status: live.status });
+  }
+
+  for (const [marketId, { entryMap, status }] of targets) {
+    try {
+      await snapshotMarket(marketId, entryMap, status);
+    } catch (e) {
+      snapshotLog.error("Snapshot failed", { market_id: marketId, error: e });
+    }
+  }
+
+  await checkAlerts(liveMarkets);
+}
+
+function startSnapshotPoller() {
+  if (!(SNAPSHOT_POLL_MS > 0)) return;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try { await pollSnapshots(); }
+    catch (e) { snapshotLog.error("Poll failed", { error: e }); }
+    finally { running = false; }
+  };
+  setInterval(tick, SNAPSHOT_POLL_MS).unref();
+  tick();
+}
+
+// Stored history for one market. Beliefs are recomputed per evals snapshot
+// so any belief model can be replayed against the same data.
+app.get("/api/markets/:marketId/snapshots", async (req, res) => {
+  try {
+    const beliefOpts = beliefOptionsFromQuery(req.query);
+    if (beliefOpts.error) return res.status(400).json(beliefOpts.error);
+
+    const from = parseTimeParam(req.query.from);
+    const to   = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: "invalid_time_range", from: req.query.from, to: req.query.to });
+    }
+
+    const marketId = req.params.marketId;
+    const { evals, data_points } = await snapshotStore.query(marketId, {
+      from: from ?? 0,
+      to:   to ?? Infinity,
+    });
+
+    const snapshots = evals.map(rec => {
+      const entryMap = Object.fromEntries(Object.keys(rec.evals).map((idx, i) =>
+        [idx, rec.model_names?.[i] || `Entry #${idx}`]));
+      const { perModel, evalCount } = buildPerModel(
+        Object.entries(rec.evals).map(([idx, list]) => ({ modelIdx: idx, ok: true, json: { evals: list } })),
+        entryMap
+      );
+      const beliefs = computeBeliefs(perModel, beliefOpts);
+      return {
+        ts: rec.ts,
+        recorded_at: new Date(rec.ts).toISOString(),
+        status: rec.status,
+        eval_count: evalCount,
+        eval_counts: Object.fromEntries(Object.entries(perModel).map(([m, o]) => [m, o.perEvalAggregates.length])),
+        beliefs,
+        predicted_winner: pickLeader(beliefs).predictedWinner,
+      };
+    });
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      market_id: marketId,
+      from: from ?? null,
+      to: to ?? null,
+      belief_model: beliefOpts.model,
+      snapshots,
+      data_points,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Live stream (SSE) ────────────────────────────────────────────────────────
+// One shared poll per market, pushed to every open dashboard as typed events.
+// See lib/market-stream.js for the event types and resume rules.
+const STREAM_POLL_MS = Number(process.env.STREAM_POLL_MS ?? 15000);
+const STREAM_RETRY_MS = 5000;
+const STREAM_HEARTBEAT_MS = 25000;
+
+async function marketStreamState(marketId) {
+  const market = await findMarket(marketId);
+  if (!market) return null;
+  const [prediction, chartRes] = await Promise.all([
+    computeMarketPrediction(marketId, market.entryMap),
+    delphi.chart(marketId),
+  ]);
+  const chart = chartRes.json ? extractMarketChart(chartRes.json) : null;
+
+  let winner = null;
+  if (market.status !== "ongoing") {
+    const record = marketRegistry.get(marketId);
+    const { actualWinner } = await resolveWinnerFromChart(marketId, market.entryMap, record?.confirmedWinner, record?.winnerSource);
+    winner = actualWinner === "TBD" ? null : actualWinner;
+  }
+
+  return {
+    marketId,
+    marketName: market.name,
+    status: market.status,
+    stale: prediction.stale || !!chartRes.stale,
+    evalCount: prediction.evalCount,
+    beliefs: prediction.beliefs,
+    predictedWinner: prediction.predictedWinner,
+    topBelief: prediction.topBelief,
+    prices: chartSeries(chart?.data_points || [], market.entryMap),
+    winner,
+  };
+}
+
+const marketStream = createMarketStream({ loadState: marketStreamState, pollMs: STREAM_POLL_MS });
+
+app.get("/api/stream", async (req, res) => {
+  let marketId;
+  try {
+    marketId = await requestedMarketId(req);
+    if (!(await findMarket(marketId))) {
+      return res.status(404).json({ error: "unknown_market", market_id: marketId });
+    }
+  } catch (e) {
+    return res.status(500).json({ error: String(e) });
+  }
+
+  // no-transform keeps compression() from buffering the stream
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const send = msg => res.write(`id: ${msg.id}\nevent: ${msg.event}\ndata: ${JSON.stringify(msg.data)}\n\n`);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+  let closed = false;
+  let unsubscribe = null;
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  });
+
+  // EventSource resends the last id as a header; ?last_event_id= is for clients that can't set one
+  try {
+    unsubscribe = await marketStream.subscribe(marketId, {
+      lastEventId: req.get("Last-Event-ID") || req.query.last_event_id,
+      send,
+    });
+  } catch (e) {
+    // Headers are already out, so the error goes down the stream; EventSource retries
+    createLogger("stream").error("Subscribe failed", { market_id: marketId, error: e });
+    clearInterval(heartbeat);
+    if (!closed) res.end(`event: error\ndata: ${JSON.stringify({ error: String(e) })}\n\n`);
+    return;
+  }
+  if (closed) unsubscribe();
+});
+
+// ─── Alerts ───────────────────────────────────────────────────────────────────
+// Rules + fired-alert history live in DATA_DIR/alerts.json. Markets are checked
+// on every snapshot poller tick, so alerts need SNAPSHOT_POLL_MS > 0.
+const alerts = createAlertEngine({
+  file: path.join(DATA_DIR, "alerts.json"),
+  retries: Number(process.env.ALERT_RETRIES ?? 3),
+  // Local testing only (scripts/alert-receiver.js on localhost)
+  allowPrivateWebhooks: process.env.ALERT_ALLOW_PRIVATE_WEBHOOKS === "1",
+});
+const alertLog = createLogger("alerts");
+
+// Current evals/leader/signals for one market, or null when upstream data is stale
+async function marketAlertState(marketId, { name, entryMap, status, winner = null }) {
+  const [prediction, chartRes] = await Promise.all([
+    computeMarketPrediction(marketId, entryMap),
+    delphi.chart(marketId),
+  ]);
+  if (prediction.stale || !chartRes.ok || chartRes.stale) return null;
+  const series = chartSeries(extractMarketChart(chartRes.json)?.data_points || [], entryMap);
+  const prices = series.length ? series[series.length - 1].prices : {};
+  return {
+    marketId,
+    marketName: name,
+    status,
+    winner,
+    evalCount: prediction.evalCount,
+    leader: prediction.predictedWinner,
+    signals: computeSignals(prediction.beliefs, prices),
+  };
+}
+
+async function checkAlerts(liveMarkets) {
+  const targets = new Map();
+  for (const live of liveMarkets) {
+    targets.set(String(live.market_id), { name: live.market_name, entryMap: live.entryMap, status: "ongoing" });
+  }
+  // Markets we last saw ongoing stay watched until we see them close
+  const gone = alerts.watchedMarkets().filter(id => !targets.has(id));
+  if (gone.some(id => !marketRegistry.get(id))) await marketRegistry.refresh();
+  for (const id of gone) {
+    const record = marketRegistry.get(id);
+    if (record) {
+      targets.set(id, { name: record.name, entryMap: record.entryMap, status: "closed", winner: record.confirmedWinner });
+    }
+  }
+
+  for (const [marketId, market] of targets) {
+    try {
+      const state = await marketAlertState(marketId, market);
+      // Webhook retries can take a while — don't hold up the poller
+      if (state) alerts.observe(state).catch(e => alertLog.error("Observe failed", { market_id: marketId, error: e }));
+    } catch (e) {
+      alertLog.error("Loading market state failed", { market_id: marketId, error: e });
+    }
+  }
+}
+
+// Rules and history hold webhook URLs, and rules make the server send requests:
+// token-gated like the debug routes (see requireAlertsAccess)
+app.use("/api/alerts", requireAlertsAccess);
+
+// validateRule() plus the webhook host check, as { rule } or { error }
+async function validateRuleBody(body, opts) {
+  const { rule, error } = validateRule(body, opts);
+  if (error) return { error };
+  if (rule.webhook_url !== undefined) {
+    const reason = await alerts.checkWebhook(rule.webhook_url);
+    if (reason) return { error: { error: "invalid_rule", field: "webhook_url", reason } };
+  }
+  return { rule };
+}
+
+// Every rule or alert a response carries goes through this
+const redactAlert = a => ({ ...a, webhook_url: redactWebhookUrl(a.webhook_url) });
+
+app.get("/api/alerts", (req, res) => {
+  const since = parseTimeParam(req.query.since);
+  if (Number.isNaN(since)) return res.status(400).json({ error: "invalid_time_range", since: req.query.since });
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: "invalid_limit", limit: String(req.query.limit) });
+  }
+  const list = alerts.history({
+    marketId: req.query.market_id,
+    ruleId: req.query.rule_id,
+    type: req.query.type,
+    status: req.query.status,
+    since,
+    limit,
+  });
+  res.json({ count: list.length, alerts: list.map(redactAlert) });
+});
+
+app.get("/api/alerts/rules", (req, res) => {
+  res.json({ types: RULE_TYPES, rules: alerts.listRules().map(redactAlert) });
+});
+
+app.post("/api/alerts/rules", async (req, res) => {
+  try {
+    const { rule, error } = await validateRuleBody(req.body);
+    if (error) return res.status(400).json(error);
+    res.status(201).json(redactAlert(await alerts.createRule(rule)));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+app.get("/api/alerts/rules/:id", (req, res) => {
+  const rule = alerts.getRule(req.params.id);
+  if (!rule) return res.status(404).json({ error: "unknown_rule", rule_id: req.params.id });
+  res.json(redactAlert(rule));
+});
+
+app.patch("/api/alerts/rules/:id", async (req, res) => {
+  try {
+    const { rule: fields, error } = await validateRuleBody(req.body, { partial: true });
+    if (error) return res.status(400).json(error);
+    const rule = await alerts.updateRule(req.params.id, fields);
+    if (!rule) return res.status(404).json({ error: "unknown_rule", rule_id: req.params.id });
+    res.json(redactAlert(rule));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+app.delete("/api/alerts/rules/:id", async (req, res) => {
+  try {
+    if (!(await alerts.deleteRule(req.params.id))) {
+      return res.status(404).json({ error: "unknown_rule", rule_id: req.params.id });
+    }
+    res.status(204).end();
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// Sends a "test" event through the rule's webhook and returns the delivery record
+app.post("/api/alerts/rules/:id/test", async (req, res) => {
+  try {
+    const rule = alerts.getRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: "unknown_rule", rule_id: req.params.id });
+    res.json(redactAlert(await alerts.sendTest(rule)));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Health ───────────────────────────────────────────────────────────────────
+// Upstream reachability is probed at most once per HEALTH_PROBE_MS; callers in
+// between share the last result.
+const HEALTH_PROBE_MS = 15000;
+let upstreamProbe = null;   // { promise, time }
+
+function probeUpstream() {
+  if (upstreamProbe && Date.now() - upstreamProbe.time < HEALTH_PROBE_MS) return upstreamProbe.promise;
+  const started = Date.now();
+  const promise = delphi.markets({ limit: 1, status: "ongoing" }, { noCache: true })
+    .then(r => ({
+      reachable: r.ok,
+      status: r.status,
+      error: r.error ?? null,
+      latency_ms: Date.now() - started,
+      checked_at: new Date(started).toISOString(),
+    }));
+  upstreamProbe = { promise, time: started };
+  return promise;
+}
+
+// { entries, newest_age_s, ttl_s } for one of the derived-result caches above
+function derivedCacheInfo(cache, ttlMs) {
+  const times = Object.values(cache).map(c => c.time);
+  return {
+    entries: times.length,
+    newest_age_s: times.length ? Math.round((Date.now() - Math.max(...times)) / 1000) : null,
+    ttl_s: ttlMs / 1000,
+  };
+}
+
+// Overall status is "degraded" when Delphi can't be reached; the server itself
+// still answers, so this stays a 200.
+app.get("/api/health", async (req, res) => {
+  try {
+    const upstream = await probeUpstream();
+    const upstreamStats = delphi.cacheStats();
+    const upstreamAges = delphi.cacheAges();
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    // ok is liveness (this process answers); Delphi problems only degrade status
+    res.json({
+      ok: true,
+      status: upstream.reachable ? "ok" : "degraded",
+      node: process.version,
+      uptime_s: Math.round(process.uptime()),
+      upstream,
+      live_market: { ...liveMarketState(), ttl_s: LIVE_MARKET_CACHE_MS / 1000 },
+      caches: {
+        upstream: Object.fromEntries(
+          [...new Set([...Object.keys(upstreamStats), ...Object.keys(upstreamAges)])].map(type => [
+            type,
+            { ...(upstreamAges[type] || { entries: 0, newest_age_s: null, oldest_age_s: null }), ...upstreamStats[type] },
+          ])
+        ),
+        historical: derivedCacheInfo(historicalCache, HISTORICAL_CACHE_MS),
+        model_career: derivedCacheInfo(modelCareerCache, MODEL_CAREER_CACHE_MS),
+      },
+      stream: marketStream.stats(),
+      snapshot_poll_ms: SNAPSHOT_POLL_MS,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ─── Metrics endpoint ─────────────────────────────────────────────────────────
+const streamMarkets = metrics.gauge("delphi_stream_markets", "Markets with an active SSE poll.");
+const streamSubscribers = metrics.gauge("delphi_stream_subscribers", "Connected SSE clients.");
+const processMemory = metrics.gauge("process_resident_memory_bytes", "Resident memory size in bytes.");
+const processUptime = metrics.gauge("process_uptime_seconds", "Seconds since the server started.");
+
+metrics.collect(() => {
+  for (const [type, s] of Object.entries(delphi.cacheStats())) {
+    const cache = `upstream_${type}`;
+    cacheRequests.set({ cache, result: "hit" }, s.hits);
+    cacheRequests.set({ cache, result: "miss" }, s.misses);
+    cacheRequests.set({ cache, result: "stale" }, s.stale);
+  }
+  cacheEntries.set({ cache: "upstream" }, delphi.cacheEntries());
+  cacheEntries.set({ cache: "historical" }, Object.keys(historicalCache).length);
+  cacheEntries.set({ cache: "model_career" }, Object.keys(modelCareerCache).length);
+  cacheEntries.set({ cache: "win_probability" }, winProbabilityCache.size());
+
+  const live = liveMarketState();
+  liveMarketInfo.reset();
+  for (const marketId of live.live_market_ids) liveMarketInfo.set({ market_id: marketId, status: "ongoing" }, 1);
+  if (live.market_id && !live.live_market_ids.length) liveMarketInfo.set({ market_id: live.market_id, status: live.status }, 1);
+
+  const { markets, subscribers } = marketStream.stats();
+  streamMarkets.set({}, markets);
+  streamSubscribers.set({}, subscribers);
+  processMemory.set({}, process.memoryUsage().rss);
+  processUptime.set({}, Math.round(process.uptime()));
+});
+
+app.get("/api/metrics", (req, res) => {
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.send(metrics.render());
+});
+
+app.listen(PORT, () => {
+  log.info("Delphi Beliefs dashboard started", {
+    url: `http://localhost:${PORT}`,
+    debug_routes: DEBUG_ROUTES_ENABLED ? (DEBUG_TOKEN ? "token" : "open") : "disabled",
+    alert_routes: ALERT_ROUTES_ENABLED ? (ALERTS_TOKEN ? "token" : "open") : "disabled",
+    snapshot_poll_ms: SNAPSHOT_POLL_MS,
+  });
+  log.info("Known markets (before discovery)", {
+    markets: marketRegistry.list().map(c => ({
+      market_id: c.marketId,
+      display_num: c.displayNum,
+      name: c.name,
+      closed: c.closedDate,
+      winner: c.confirmedWinner,
+    })),
+  });
+  marketRegistry.ensureFresh();
+  startSnapshotPoller();
 });
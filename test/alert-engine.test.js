@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { createAlertEngine, validateRule, redactWebhookUrl, isPrivateAddress } = require("../lib/alert-engine");
+
+function engine(opts = {}) {
+  return createAlertEngine({ file: path.join(os.tmpdir(), `alerts-test-${process.pid}.json`), ...opts });
+}
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address }));
+
+test("isPrivateAddress blocks internal ranges and allows public ones", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.100.0.1", "0.0.0.0",
+    "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "not-an-ip"]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "1.1.1.1", "::ffff:8.8.8.8", "2606:4700::1"]) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test("checkWebhook refuses literal and resolved private hosts", async () => {
+  const alerts = engine({ lookup: resolvesTo("93.184.216.34") });
+  assert.equal(await alerts.checkWebhook("http://169.254.169.254/latest"), "private_address");
+  assert.equal(await alerts.checkWebhook("http://[::1]:4000/hook"), "private_address");
+  assert.equal(await alerts.checkWebhook("https://hooks.example.com/x"), null);
+  assert.equal(await engine({ lookup: resolvesTo("8.8.8.8", "10.0.0.1") }).checkWebhook("https://a.example/"), "private_address");
+  assert.equal(await engine({ lookup: async () => { throw new Error("ENOTFOUND"); } }).checkWebhook("https://x.invalid/"), "unresolvable_host");
+});
+
+test("allowPrivateWebhooks lifts the check", async () => {
+  assert.equal(await engine({ allowPrivateWebhooks: true }).checkWebhook("http://localhost:4000/hook"), null);
+});
+
+test("redactWebhookUrl keeps only the origin", () => {
+  assert.equal(redactWebhookUrl("https://hooks.example.com/services/T0/B0/secret?token=abc"), "https://hooks.example.com/…");
+  assert.equal(redactWebhookUrl("https://hooks.example.com/"), "https://hooks.example.com");
+  assert.equal(redactWebhookUrl("nope"), null);
+});
+
+test("validateRule normalizes and rejects fields", () => {
+  const { rule } = validateRule({ type: "signal_change", webhook_url: "https://x.example/h", signals: ["underpriced"], market_id: 5 });
+  assert.deepEqual(rule.signals, ["UNDERPRICED"]);
+  assert.equal(rule.market_id, "5");
+  assert.equal(validateRule({ type: "nope", webhook_url: "https://x.example" }).error.field, "type");
+  assert.equal(validateRule({ type: "new_eval", webhook_url: "ftp://x.example" }).error.field, "webhook_url");
+  assert.equal(validateRule({ type: "new_eval", webhook_url: "https://x.example", threshold: 0 }).error.field, "threshold");
+  assert.deepEqual(validateRule({ enabled: false }, { partial: true }), { rule: { enabled: false } });
+});
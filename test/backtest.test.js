@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  strategyFromQuery, backtestMarket, aggregateBacktests, evalArrivalTimes, replaySettledMarket, DEFAULT_STRATEGY,
+} = require("../lib/backtest");
+
+const entryMap = { 0: "a", 1: "b" };
+const point = (ts, a, b) => ({ timestamp: ts, entries: [{ entry_idx: 0, price: String(a) }, { entry_idx: 1, price: b }] });
+const beliefSteps = [{ ts: 1000, eval: 1, beliefs: { a: 60, b: 40 } }];
+
+test("buys the underpriced entry and settles it at 1 when it wins", () => {
+  const r = backtestMarket({ dataPoints: [point(2, 0.5, 0.5), point(1, 0.4, 0.6)], entryMap, beliefSteps, winner: "a" });
+  assert.equal(r.trade_count, 1);
+  const [t] = r.trades;
+  assert.equal(t.model, "a");
+  assert.equal(t.entry_ts, 1000);
+  assert.equal(t.exit_reason, "settlement");
+  assert.equal(t.exit_price, 1);
+  assert.ok(Math.abs(r.pnl - (100 / 0.4) * 0.6) < 1e-9);
+});
+
+test("a losing position settles at 0", () => {
+  const r = backtestMarket({ dataPoints: [point(1, 0.4, 0.6)], entryMap, beliefSteps, winner: "b" });
+  assert.equal(r.pnl, -100);
+  assert.equal(r.losses, 1);
+});
+
+test("without a winner, open positions are marked to the last price", () => {
+  const r = backtestMarket({ dataPoints: [point(1, 0.4, 0.6), point(2, 0.5, 0.5)], entryMap, beliefSteps, winner: null });
+  assert.equal(r.trades[0].exit_reason, "end_of_data");
+  assert.ok(Math.abs(r.pnl - 25) < 1e-9);
+});
+
+test("exit=signal closes once the gap is gone", () => {
+  const strategy = { ...DEFAULT_STRATEGY, exit: "signal", exitThreshold: 1 };
+  const r = backtestMarket({ dataPoints: [point(1, 0.4, 0.6), point(2, 0.6, 0.4)], entryMap, beliefSteps, winner: "b", strategy });
+  assert.equal(r.trades[0].exit_reason, "signal");
+  assert.ok(r.pnl > 0);
+});
+
+test("nothing trades before the first eval", () => {
+  const r = backtestMarket({ dataPoints: [point(0.5, 0.1, 0.9)], entryMap, beliefSteps, winner: "a" });
+  assert.equal(r.trade_count, 0);
+});
+
+test("aggregateBacktests chains equity curves", () => {
+  const a = backtestMarket({ dataPoints: [point(1, 0.4, 0.6)], entryMap, beliefSteps, winner: "a" });
+  const b = backtestMarket({ dataPoints: [point(1, 0.4, 0.6)], entryMap, beliefSteps, winner: "b" });
+  const agg = aggregateBacktests([a, b]);
+  assert.equal(agg.trade_count, 2);
+  assert.ok(Math.abs(agg.pnl - (a.pnl + b.pnl)) < 1e-9);
+  assert.ok(Math.abs(agg.equity[agg.equity.length - 1].equity - agg.pnl) < 1e-9);
+});
+
+test("strategyFromQuery validates its fields", () => {
+  assert.equal(strategyFromQuery({ side: "both" }).strategy.side, "both");
+  assert.equal(strategyFromQuery({ exit: "never" }).error.field, "exit");
+  assert.equal(strategyFromQuery({ stake: "0" }).error.field, "stake");
+});
+
+test("evalArrivalTimes prefers eval timestamps, then snapshots, then spreads the rest", () => {
+  const perModel = { a: { evalsRaw: [{ created_at: "1970-01-01T00:00:05Z" }, {}, {}] } };
+  const storedEvals = [{ ts: 7000, status: "ongoing", evals: { a: [{}, {}] } }];
+  const dataPoints = [{ timestamp: 4 }, { timestamp: 8 }];
+  const { times, sources, counts } = evalArrivalTimes(perModel, 3, storedEvals, dataPoints);
+  assert.deepEqual(times, { 1: 5000, 2: 7000, 3: 7000 });
+  assert.deepEqual(sources, { 1: "eval_timestamps", 2: "snapshots", 3: "estimated" });
+  assert.deepEqual(counts, { eval_timestamps: 1, snapshots: 1, estimated: 1 });
+});
+
+test("replaySettledMarket matches the winner's spelling and reports missing data", () => {
+  const perModel = {
+    a: { modelIdx: "0", perEvalAggregates: [80], evalsRaw: [{ created_at: 1 }] },
+    b: { modelIdx: "1", perEvalAggregates: [20], evalsRaw: [{ created_at: 1 }] },
+  };
+  const base = { perModel, evalCount: 1, entryMap, dataPoints: [point(2, 0.4, 0.6)], beliefOpts: {}, strategy: DEFAULT_STRATEGY };
+  const r = replaySettledMarket({ ...base, actualWinner: " A " });
+  assert.equal(r.winner, "a");
+  assert.equal(r.trade_count, 1);
+  assert.equal(r.eval_timing.eval_timestamps, 1);
+  assert.equal(replaySettledMarket({ ...base, actualWinner: "TBD" }).error, "winner_unknown");
+  assert.equal(replaySettledMarket({ ...base, actualWinner: "a", dataPoints: [] }).error, "no_chart_data");
+  assert.equal(replaySettledMarket({ ...base, actualWinner: "a", evalCount: 0 }).error, "no_eval_data");
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  resolveBeliefModel,
+  beliefOptionsFromQuery,
+  computeBeliefs,
+  computeBeliefHistory,
+  pickLeader,
+} = require("../lib/belief-models");
+
+// evals per model → perModel as computeMarketPrediction builds it
+function perModelOf(scores) {
+  const out = {};
+  for (const [model, list] of Object.entries(scores)) {
+    out[model] = {
+      avgAggregate: list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0,
+      perEvalAggregates: list,
+      evalsRaw: list.map((aggregate, i) => ({ aggregate, benchmark: i % 2 ? "gpqa" : "mmlu" })),
+    };
+  }
+  return out;
+}
+
+const sum = beliefs => Object.values(beliefs).reduce((s, v) => s + v, 0);
+
+test("resolveBeliefModel accepts aliases and rejects unknown names", () => {
+  assert.equal(resolveBeliefModel(undefined), "proportional");
+  assert.equal(resolveBeliefModel("Bradley-Terry"), "bradley_terry");
+  assert.equal(resolveBeliefModel("bt"), "bradley_terry");
+  assert.equal(resolveBeliefModel("nope"), null);
+});
+
+test("beliefOptionsFromQuery validates model and temperature", () => {
+  assert.deepEqual(beliefOptionsFromQuery({}), { model: "proportional", temperature: null });
+  assert.deepEqual(beliefOptionsFromQuery({ belief_model: "softmax", temperature: "0.5" }), { model: "softmax", temperature: 0.5 });
+  assert.equal(beliefOptionsFromQuery({ belief_model: "softmax", temperature: "0" }).error.error, "invalid_temperature");
+  assert.equal(beliefOptionsFromQuery({ belief_model: "x" }).error.error, "unknown_belief_model");
+});
+
+test("proportional beliefs are averages over their sum", () => {
+  const beliefs = computeBeliefs(perModelOf({ a: [60], b: [40], c: [] }));
+  assert.deepEqual(beliefs, { a: 60, b: 40, c: 0 });
+});
+
+test("no evals at all gives no beliefs", () => {
+  assert.deepEqual(computeBeliefs(perModelOf({ a: [], b: [] })), {});
+});
+
+test("every model sums to 100 and keeps the same leader", () => {
+  const perModel = perModelOf({ a: [80, 78], b: [70, 74], c: [50, 52] });
+  for (const model of ["proportional", "softmax", "zscore", "bradley_terry"]) {
+    const beliefs = computeBeliefs(perModel, { model });
+    assert.ok(Math.abs(sum(beliefs) - 100) < 1e-9, model);
+    assert.equal(pickLeader(beliefs).predictedWinner, "a", model);
+  }
+});
+
+test("softmax sharpens as the temperature drops", () => {
+  const perModel = perModelOf({ a: [52], b: [50] });
+  const warm = computeBeliefs(perModel, { model: "softmax", temperature: 10 });
+  const cold = computeBeliefs(perModel, { model: "softmax", temperature: 0.5 });
+  assert.ok(cold.a > warm.a);
+});
+
+test("bradley_terry gives a lone model with evals all the belief", () => {
+  assert.deepEqual(computeBeliefs(perModelOf({ a: [10], b: [] }), { model: "bradley_terry" }), { a: 100, b: 0 });
+});
+
+test("computeBeliefHistory has one step per eval", () => {
+  const history = computeBeliefHistory(perModelOf({ a: [60, 40], b: [40, 60] }));
+  assert.deepEqual(history.map(h => h.eval), [1, 2]);
+  assert.deepEqual(history[0].beliefs, { a: 60, b: 40 });
+  assert.deepEqual(history[1].beliefs, { a: 50, b: 50 });
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeForecast, scoreForecast, reliabilityTable } = require("../lib/calibration");
+
+test("normalizeForecast scales to 1 and drops bad weights", () => {
+  assert.deepEqual(normalizeForecast({ a: 30, b: 10, c: -1, d: NaN }), { a: 0.75, b: 0.25 });
+  assert.deepEqual(normalizeForecast({ a: 0 }), {});
+});
+
+test("scoreForecast: a certain correct forecast scores 0", () => {
+  const s = scoreForecast({ a: 1, b: 0 }, "a");
+  assert.equal(s.brier, 0);
+  assert.ok(s.log_loss === 0);   // −ln 1 is −0
+  assert.equal(s.p_winner, 1);
+});
+
+test("scoreForecast: a certain wrong forecast scores the worst Brier", () => {
+  const s = scoreForecast({ a: 1, b: 0 }, "b");
+  assert.equal(s.brier, 2);
+  assert.ok(Math.abs(s.log_loss - -Math.log(1e-6)) < 1e-9);
+});
+
+test("reliabilityTable buckets forecasts by probability", () => {
+  const rows = reliabilityTable([{ p: 0.05, hit: false }, { p: 0.95, hit: true }, { p: 1, hit: true }], 10);
+  assert.equal(rows.length, 10);
+  assert.equal(rows[0].count, 1);
+  assert.equal(rows[9].count, 2);
+  assert.equal(rows[9].observed_rate, 1);
+  assert.equal(rows[5].mean_forecast, null);
+});
@@ -0,0 +1,15 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { earlySignalMarket } = require("../lib/early-signal");
+
+test("earlySignalMarket matches the winner by normalized name", () => {
+  const history = [
+    { eval: 1, beliefs: { "Model  A": 40, "Model B": 60 } },
+    { eval: 2, beliefs: { "Model  A": 70, "Model B": 30 } },
+  ];
+  const r = earlySignalMarket(history, "model a");
+  assert.deepEqual(r.steps.map(s => s.correct), [false, true]);
+  assert.equal(r.steps[0].winner_belief, 40);
+  assert.equal(r.correct_from_eval, 2);
+  assert.deepEqual(r.changes.map(c => c.to), ["Model  A"]);
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMarketRegistry } = require("../lib/market-registry");
+const { createLiveMarketDetector } = require("../lib/live-market");
+
+// Just enough of the Delphi client for the registry and the detector
+function fakeUpstream() {
+  const markets = {
+    4: { market_id: "4", market_name: "Old", status: "closed", created_ts: 50, entries: ["x", "y"], winning_entry_idx: 0 },
+    5: { market_id: "5", market_name: "Mock", status: "ongoing", created_ts: 100, entries: ["a", "b"] },
+  };
+  const ok = json => ({ ok: true, status: 200, json });
+  return {
+    markets,
+    client: {
+      markets: async ({ status }) => ok({ items: Object.values(markets).filter(m => m.status === status) }),
+      request: async p => ok(markets[p.split("/").pop()] || null),
+      evals: async (id, idx) => ok({ evals: markets[id] && idx < markets[id].entries.length ? [{ aggregate: 50 }] : [] }),
+      chart: async () => ({ ok: false, status: 404, json: null }),
+    },
+  };
+}
+
+function setup({ ttlMs, ghostIds, ghostTtlMs, onGhost } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-test-"));
+  const upstream = fakeUpstream();
+  const registry = createMarketRegistry({ client: upstream.client, file: path.join(dir, "registry.json"), ttlMs, retryMs: 0 });
+  const detector = createLiveMarketDetector({ client: upstream.client, registry, cacheMs: 0, ghostIds, ghostTtlMs, onGhost });
+  return { upstream, registry, detector, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test("a market that settles while live is found in the registry right away", async t => {
+  const { upstream, registry, detector, cleanup } = setup();
+  t.after(cleanup);
+  await registry.ensureFresh();
+  assert.deepEqual((await detector.detectAll()).map(m => m.market_id), ["5"]);
+  assert.equal(registry.get("5"), null);
+
+  upstream.markets[5] = { ...upstream.markets[5], status: "closed", winning_entry_idx: 1 };
+  assert.deepEqual(await detector.detectAll(), []);
+  const pick = await detector.detect();
+  assert.equal(pick.market_id, "5");
+  assert.equal(pick.status, "closed");
+
+  await registry.ensureFresh();
+  const record = registry.get("5");
+  assert.equal(record.confirmedWinner, "b");
+  assert.deepEqual(record.entryMap, { 0: "a", 1: "b" });
+});
+
+test("without an expectation the registry waits for its ttl", async t => {
+  const { upstream, registry, cleanup } = setup();
+  t.after(cleanup);
+  await registry.ensureFresh();
+  upstream.markets[5].status = "closed";
+  await registry.ensureFresh();
+  assert.equal(registry.get("5"), null);
+
+  registry.expect(["5"]);
+  await registry.ensureFresh();
+  assert.equal(registry.get("5").name, "Mock");
+});
+
+test("an expected market is looked up directly while the listing lags", async t => {
+  const { upstream, registry, cleanup } = setup();
+  t.after(cleanup);
+  await registry.ensureFresh();
+  const listing = upstream.client.markets;
+  upstream.client.markets = async opts => {
+    const r = await listing(opts);
+    return { ...r, json: { items: r.json.items.filter(m => m.market_id !== "5") } };
+  };
+  upstream.markets[5] = { ...upstream.markets[5], status: "closed", winning_entry_idx: 0 };
+
+  registry.expect(["5"]);
+  await registry.ensureFresh();
+  assert.equal(registry.get("5").confirmedWinner, "a");
+});
+
+test("an expected market that never shows up stops forcing refreshes after the ttl", async t => {
+  const { upstream, registry, cleanup } = setup({ ttlMs: 50 });
+  t.after(cleanup);
+  let listings = 0;
+  const markets = upstream.client.markets;
+  upstream.client.markets = async opts => { listings++; return markets(opts); };
+
+  registry.expect(["9"]);
+  await registry.ensureFresh();
+  await registry.ensureFresh();
+  assert.equal(listings, 2);
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await registry.ensureFresh();   // ttl is due anyway, and drops the expectation
+  await registry.ensureFresh();
+  assert.equal(listings, 3);
+});
+
+test("a detected ghost is probed again once its ttl passes", async t => {
+  const found = [];
+  const { upstream, detector, cleanup } = setup({ ghostTtlMs: 0, onGhost: id => found.push(id) });
+  t.after(cleanup);
+  upstream.markets[6] = { market_id: "6", market_name: "Placeholder", status: "ongoing", created_ts: 200, entries: [] };
+  assert.deepEqual((await detector.detectAll()).map(m => m.market_id), ["5"]);
+  await detector.detectAll();
+  assert.deepEqual(found, ["6"]);
+  assert.deepEqual(detector.state().ghost_ids, ["6"]);
+
+  upstream.markets[6].entries = ["c", "d"];
+  assert.deepEqual((await detector.detectAll()).map(m => m.market_id), ["6", "5"]);
+  assert.deepEqual(detector.state().ghost_ids, []);
+});
+
+test("ghosts are skipped within their ttl, configured ghosts for good", async t => {
+  const { upstream, detector, cleanup } = setup({ ghostIds: ["5"] });
+  t.after(cleanup);
+  upstream.markets[6] = { market_id: "6", market_name: "Placeholder", status: "ongoing", created_ts: 200, entries: [] };
+  await detector.detectAll();
+  upstream.markets[6].entries = ["c", "d"];
+  assert.deepEqual(await detector.detectAll(), []);
+  assert.deepEqual(detector.state().ghost_ids, ["5", "6"]);
+});
@@ -0,0 +1,17 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { chartSeries, mergeDataPoints } = require("../lib/market-chart");
+
+test("mergeDataPoints dedupes by timestamp, later lists winning", () => {
+  const stored = [{ timestamp: 1, v: "stored" }, { timestamp: 2, v: "stored" }];
+  const upstream = [{ timestamp: "2", v: "upstream" }, { timestamp: 3, v: "upstream" }];
+  assert.deepEqual(mergeDataPoints(stored, upstream, undefined).map(p => p.v), ["stored", "upstream", "upstream"]);
+});
+
+test("chartSeries maps entries to model names, oldest first", () => {
+  const points = [
+    { timestamp: 2, entries: [{ entry_idx: 0, price: "0.6" }, { entry_idx: 9, price: 0.1 }] },
+    { timestamp: 1, entries: [{ entry_idx: 0, price: 0.5 }] },
+  ];
+  assert.deepEqual(chartSeries(points, { 0: "a" }), [{ ts: 1000, prices: { a: 0.5 } }, { ts: 2000, prices: { a: 0.6 } }]);
+});
@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveModel, normalizeName } = require("../lib/model-registry");
+
+test("normalizeName ignores case and surrounding or repeated whitespace", () => {
+  assert.equal(normalizeName("  Qwen/Qwen3-8B "), "qwen/qwen3-8b");
+  assert.equal(normalizeName("Grok 4.1\t Fast"), "grok 4.1 fast");
+  assert.equal(normalizeName(null), "");
+});
+
+test("resolveModel matches aliases with or without the org prefix", () => {
+  const rec = resolveModel("x-ai/grok-4.1-fast-reasoning");
+  assert.equal(rec.known, true);
+  assert.equal(resolveModel(" GROK-4.1-FAST-REASONING ").id, rec.id);
+});
+
+test("resolveModel derives a record for unknown names", () => {
+  const rec = resolveModel("Acme/Some Model");
+  assert.equal(rec.known, false);
+  assert.equal(rec.id, "some-model");
+  assert.equal(rec.vendor, "Acme");
+});
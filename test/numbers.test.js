@@ -0,0 +1,12 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { round } = require("../lib/numbers");
+
+test("round keeps dp decimals", () => {
+  assert.equal(round(1.23456, 2), 1.23);
+  assert.equal(round(42, 0), 42);
+});
+
+test("round gives null for anything that isn't a finite number", () => {
+  for (const v of [null, undefined, NaN, Infinity, "1.5"]) assert.equal(round(v, 2), null);
+});
@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GAP_THRESHOLD, gapOf, classifyGap, computeSignals } = require("../lib/signals");
+
+test("gapOf is price minus belief in points, rounded to 0.1", () => {
+  assert.equal(gapOf(40, 0.456), 5.6);
+  assert.equal(gapOf(50, 0.45), -5);
+});
+
+test("classifyGap uses the shared threshold", () => {
+  assert.equal(GAP_THRESHOLD, 5);
+  assert.equal(classifyGap(4.9), "ALIGNED");
+  assert.equal(classifyGap(5), "OVERPRICED");
+  assert.equal(classifyGap(-5), "UNDERPRICED");
+  assert.equal(classifyGap(8, 10), "ALIGNED");
+});
+
+test("computeSignals skips models without a price", () => {
+  const signals = computeSignals({ a: 60, b: 40 }, { a: 0.5 });
+  assert.deepEqual(Object.keys(signals), ["a"]);
+  assert.deepEqual(signals.a, { belief: 60, price: 0.5, gap: -10, signal: "UNDERPRICED" });
+});
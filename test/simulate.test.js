@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { scenarioFromQuery, simulateNextEval, scoreToLead } = require("../lib/simulate");
+
+const entryMap = { 0: "a", 1: "b" };
+const perModel = {
+  a: { avgAggregate: 60, perEvalAggregates: [60], evalsRaw: [{ aggregate: 60 }] },
+  b: { avgAggregate: 40, perEvalAggregates: [40], evalsRaw: [{ aggregate: 40 }] },
+};
+const opts = { model: "proportional", temperature: null };
+
+test("scenarioFromQuery parses scores and rejects bad input", () => {
+  assert.deepEqual(scenarioFromQuery({ scores: "1:90" }, entryMap).scenario.scores, { 1: 90 });
+  assert.equal(scenarioFromQuery({ scores: "1:101" }, entryMap).error.field, "scores");
+  assert.equal(scenarioFromQuery({ scores: "7:50" }, entryMap).error.field, "scores");
+  assert.equal(scenarioFromQuery({ scores: "1:50", best: "1" }, entryMap).error.field, "model_idx");
+  assert.equal(scenarioFromQuery({ others: "x" }, entryMap).error.field, "others");
+});
+
+test("others=mean leaves proportional beliefs unchanged", () => {
+  const { scenario } = scenarioFromQuery({}, entryMap);
+  const r = simulateNextEval(perModel, entryMap, scenario, opts);
+  assert.deepEqual(r.simulated.beliefs, r.current.beliefs);
+  assert.equal(r.simulated.leader_changed, false);
+});
+
+test("a high enough score flips the leader", () => {
+  const { scenario } = scenarioFromQuery({ scores: "1:100", others: "last" }, entryMap);
+  const r = simulateNextEval(perModel, entryMap, scenario, opts);
+  // a: (60 + 60) / 2 = 60, b: (40 + 100) / 2 = 70
+  assert.equal(r.simulated.leader, "b");
+  assert.equal(r.simulated.leader_changed, true);
+});
+
+test("scoreToLead finds the lowest leading score", () => {
+  // b needs (40 + s) / 2 > 60 → s > 80
+  const s = scoreToLead(perModel, { a: 60 }, "b", opts);
+  assert.ok(s > 80 && s <= 80.01, String(s));
+  // b keeps its history, so a needs (60 + s) / 2 > 40 → s > 20
+  const a = scoreToLead(perModel, { b: null }, "a", opts);
+  assert.ok(a > 20 && a <= 20.01, String(a));
+  assert.equal(scoreToLead(perModel, { b: 10 }, "a", opts), 0);
+});
+
+test("scoreToLead is null when even 100 is not enough", () => {
+  const far = { ...perModel, b: { avgAggregate: 10, perEvalAggregates: [10, 10, 10], evalsRaw: [] } };
+  assert.equal(scoreToLead(far, { a: 60 }, "b", opts), null);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sizingFromQuery, kellyFractions, computeSizing } = require("../lib/sizing");
+
+test("kellyFractions for one outcome is (q − p) / (1 − p)", () => {
+  const f = kellyFractions([{ key: "a", q: 0.6, p: 0.5 }]);
+  assert.ok(Math.abs(f.get("a") - 0.2) < 1e-12);
+});
+
+test("kellyFractions skips outcomes without an edge", () => {
+  const f = kellyFractions([{ key: "a", q: 0.4, p: 0.5 }, { key: "b", q: 0.3, p: 0 }]);
+  assert.equal(f.size, 0);
+});
+
+test("kellyFractions backs several outcomes against a shared reserve", () => {
+  const f = kellyFractions([{ key: "a", q: 0.5, p: 0.3 }, { key: "b", q: 0.4, p: 0.3 }, { key: "c", q: 0.1, p: 0.4 }]);
+  // R = (1 − 0.9) / (1 − 0.6) = 0.25
+  assert.ok(Math.abs(f.get("a") - (0.5 - 0.3 * 0.25)) < 1e-12);
+  assert.ok(Math.abs(f.get("b") - (0.4 - 0.3 * 0.25)) < 1e-12);
+  assert.equal(f.has("c"), false);
+});
+
+test("computeSizing stakes only entries underpriced past the threshold", () => {
+  const { models, summary } = computeSizing({ a: 60, b: 40 }, { a: 0.5, b: 0.5 }, { bankroll: 1000, kellyFraction: 1 });
+  const byModel = Object.fromEntries(models.map(m => [m.model, m]));
+  assert.equal(byModel.a.signal, "UNDERPRICED");
+  assert.equal(byModel.a.stake, 200);
+  assert.equal(byModel.b.stake, 0);
+  assert.equal(summary.entries_staked, 1);
+  assert.equal(summary.total_stake, 200);
+});
+
+test("computeSizing caps each stake at max_stake_pct", () => {
+  const { models } = computeSizing({ a: 90, b: 10 }, { a: 0.2, b: 0.8 }, { bankroll: 100, kellyFraction: 1, maxStakePct: 10 });
+  assert.equal(models.find(m => m.model === "a").stake, 10);
+});
+
+test("computeSizing leaves unpriced entries unsized", () => {
+  const { models, summary } = computeSizing({ a: 60, b: 40 }, { a: 0.5 });
+  assert.equal(models.find(m => m.model === "b").price, null);
+  assert.equal(summary.expected_log_growth, null);
+});
+
+test("sizingFromQuery rejects out-of-range values", () => {
+  assert.equal(sizingFromQuery({ kelly_fraction: "2" }).error.field, "kelly_fraction");
+  assert.equal(sizingFromQuery({ bankroll: "500" }).sizing.bankroll, 500);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { monteCarloOptionsFromQuery, winProbabilities, createWinProbabilityCache } = require("../lib/win-probability");
+
+function perModelOf(scores) {
+  return Object.fromEntries(Object.entries(scores).map(([model, list]) => [model, {
+    avgAggregate: list.reduce((a, b) => a + b, 0) / list.length,
+    perEvalAggregates: list,
+    evalsRaw: list.map(aggregate => ({ aggregate, benchmark: "mmlu" })),
+  }]));
+}
+
+const opts = { draws: 300, level: 0.9, seed: 42 };
+
+test("p_win sums to 1 and favors the stronger model", () => {
+  const r = winProbabilities(perModelOf({ a: [80, 82, 81], b: [60, 61, 59] }), {}, opts);
+  assert.equal(r.leader, "a");
+  assert.ok(Math.abs(r.models.a.p_win + r.models.b.p_win - 1) < 1e-9);
+  assert.ok(r.models.a.p_win > 0.9);
+  assert.equal(r.low_confidence, false);
+});
+
+test("close models are flagged low confidence", () => {
+  const r = winProbabilities(perModelOf({ a: [70, 71], b: [70.5, 70] }), {}, opts);
+  assert.equal(r.low_confidence, true);
+});
+
+test("a fixed seed gives the same result", () => {
+  const perModel = perModelOf({ a: [70, 72], b: [69, 71] });
+  assert.deepEqual(winProbabilities(perModel, {}, opts), winProbabilities(perModel, {}, opts));
+});
+
+test("no evals gives null", () => {
+  assert.equal(winProbabilities({ a: { perEvalAggregates: [] } }, {}, opts), null);
+});
+
+test("monteCarloOptionsFromQuery bounds draws and level", () => {
+  assert.equal(monteCarloOptionsFromQuery({ draws: "50" }).error.field, "draws");
+  assert.equal(monteCarloOptionsFromQuery({ level: "1" }).error.field, "level");
+  assert.equal(monteCarloOptionsFromQuery({ draws: "500" }).draws, 500);
+});
+
+test("the cache reuses a result until an eval lands or the options change", () => {
+  const lookups = [];
+  const cache = createWinProbabilityCache({ maxEntries: 2, onLookup: hit => lookups.push(hit) });
+  const perModel = perModelOf({ a: [70, 72], b: [69, 71] });
+  const first = cache.get("5", perModel, {}, opts);
+  assert.deepEqual(first, winProbabilities(perModel, {}, opts));
+  assert.equal(cache.get("5", perModel, {}, opts), first);
+  assert.notEqual(cache.get("5", perModelOf({ a: [70, 72, 75], b: [69, 71, 60] }), {}, opts), first);
+  assert.notEqual(cache.get("5", perModel, { model: "softmax" }, opts), first);
+  assert.deepEqual(lookups, [false, true, false, false]);
+  // maxEntries 2: the first entry was evicted
+  assert.equal(cache.size(), 2);
+  cache.get("5", perModel, {}, opts);
+  assert.equal(lookups.at(-1), false);
+});